@@ -0,0 +1,349 @@
+import { EventEmitter } from "node:events";
+import dgram from "node:dgram";
+import os from "node:os";
+
+import HelloHandshake from "./transports/HelloHandshake.js";
+
+const ANNOUNCE_CONTEXT = "rez-announce/1";
+const MAX_ANNOUNCE_BYTES = 8 * 1024;
+const UNSPECIFIED_HOSTS = new Set(["0.0.0.0", "[::]", "::"]);
+
+function base64Url(bytes) {
+  return Buffer.from(bytes)
+    .toString("base64")
+    .replaceAll("+", "-")
+    .replaceAll("/", "_")
+    .replaceAll("=", "");
+}
+
+function fromBase64Url(s) {
+  return new Uint8Array(Buffer.from(String(s), "base64url"));
+}
+
+/**
+ * Bytes an announcement signature covers: everything a listener acts on.
+ */
+function announceTranscript(peerId, ts, bye, addresses) {
+  return Buffer.from(`${ANNOUNCE_CONTEXT}\n${peerId}\n${ts}\n${bye ? "bye" : "hello"}\n${addresses.join("\n")}`, "utf8");
+}
+
+function bareHost(host) {
+  const unbracketed = host.startsWith("[") && host.endsWith("]") ? host.slice(1, -1) : host;
+  return unbracketed.split("%")[0].toLowerCase(); // drop an IPv6 zone
+}
+
+function isLoopback(host) {
+  return host === "::1" || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+function localHostAddresses() {
+  const out = new Set();
+  for (const list of Object.values(os.networkInterfaces())) {
+    for (const { address } of list ?? []) out.add(bareHost(address));
+  }
+  return out;
+}
+
+/**
+ * A node listening on all interfaces announces e.g. tcp://0.0.0.0:port; others reach it at the address the
+ * announcement came from. Any other address must name that same host, so an announcement can't point
+ * listeners at third parties; loopback ones are kept only for announcements sent from this machine.
+ * unix:// addresses only mean something on the announcing host and are not sent.
+ */
+function reachableAddresses(addresses, sourceAddress, localAddresses) {
+  const source = bareHost(sourceAddress);
+  const out = [];
+  for (const address of addresses) {
+    let url;
+    try {
+      url = new URL(address);
+    } catch {
+      continue;
+    }
+    if (!url.hostname) continue;
+    if (!UNSPECIFIED_HOSTS.has(url.hostname)) {
+      const host = bareHost(url.hostname);
+      if (host === source || (isLoopback(host) && localAddresses.has(source))) out.push(address);
+      continue;
+    }
+    url.hostname = source.includes(":") ? `[${source}]` : source;
+    out.push(url.href);
+  }
+  return out;
+}
+
+/**
+ * MulticastDiscovery
+ *
+ * Finds rez nodes on the local network: every `intervalMs` (default 5s) the node multicasts its peerId and
+ * the transport's getListenAddresses() to `group`:`port` (default 239.255.42.99:42999), and keeps a table of
+ * the nodes it hears from. An entry expires `peerTtlMs` (default 3 intervals) after the node was last heard;
+ * stop() multicasts a goodbye so others drop it right away.
+ *
+ * Announcement (UTF-8 JSON datagram):
+ *   { t:"rez-announce", peerId, ts, bye?, addresses, alg?, publicKey?, sig? }
+ * With `crypto` + `identity` (the same identity as the transport's authenticated hello, see HelloHandshake)
+ * it is signed over (context | peerId | ts | hello/bye | addresses), and the peerId must be the one the
+ * public key commits to, so nobody else can announce addresses for it. Signed announcements must carry a
+ * `ts` within `maxClockSkewMs` of local time and newer than the last one seen from that peer (no replays;
+ * the last `ts` of a signed peer is remembered for `maxClockSkewMs` after it said bye or expired).
+ * Unsigned announcements are ignored while `requireSigned` (default: true when signing) is set. The table
+ * holds at most `maxPeers` (default 256) nodes; announcements from new ones are ignored while it is full.
+ *
+ * Events: "peer" { peerId, addresses, authenticated } when a node is first seen or its addresses change,
+ * "expired" { peerId, reason: "timeout"|"bye" }. getPeers() returns the current table.
+ *
+ * With `autoDial: true` (or a function (peer) => boolean choosing which to dial) every discovered node the
+ * transport isn't connected to is dialed through transport.connect(address, { expectedPeerId }), trying its
+ * addresses in order, again on each announcement while it stays unconnected. At most `maxConcurrentDials`
+ * (default 4) nodes are dialed at once; the others wait for their next announcement. Failed dials emit
+ * "dial-failed" { peerId, error }. Works with any Transport that dials addresses (TcpTransport,
+ * TransportManager).
+ *
+ * Multicast on one host: `loopback` (default true) delivers announcements to other nodes on the same
+ * machine, which all bind the port with SO_REUSEADDR. `multicastTtl` (default 1) keeps them on the local
+ * link; `interface` selects the interface address used for membership and sending.
+ */
+export default class MulticastDiscovery extends EventEmitter {
+  /**
+   * @param {object} transport - Initialized Transport whose peerId and listen addresses are announced
+   * @param {{ group?: string, port?: number, interface?: string, intervalMs?: number, peerTtlMs?: number,
+   *   multicastTtl?: number, loopback?: boolean, crypto?: object, identity?: { algorithmId: string,
+   *   publicKey: Uint8Array, privateKey: Uint8Array }|null, requireSigned?: boolean, maxClockSkewMs?: number,
+   *   maxPeers?: number, autoDial?: boolean|((peer: object) => boolean), maxConcurrentDials?: number }} [options]
+   */
+  constructor(transport, options = {}) {
+    super();
+    this._transport = transport;
+    this._group = options.group ?? "239.255.42.99";
+    this._port = options.port ?? 42999;
+    this._interface = options.interface ?? undefined;
+    this._intervalMs = options.intervalMs ?? 5000;
+    this._peerTtlMs = options.peerTtlMs ?? this._intervalMs * 3;
+    this._multicastTtl = options.multicastTtl ?? 1;
+    this._loopback = options.loopback ?? true;
+    this._crypto = options.crypto ?? null;
+    this._identity = options.identity ?? null;
+    if (this._identity && !this._crypto) throw new Error("MulticastDiscovery identity requires a crypto provider");
+    this._requireSigned = options.requireSigned ?? !!this._identity;
+    if (this._requireSigned && !this._crypto) throw new Error("MulticastDiscovery requireSigned requires a crypto provider");
+    this._maxClockSkewMs = options.maxClockSkewMs ?? 5 * 60 * 1000;
+    this._maxPeers = options.maxPeers ?? 256;
+    this._autoDial = options.autoDial ?? false;
+    this._maxConcurrentDials = options.maxConcurrentDials ?? 4;
+
+    this._socket = null;
+    this._timer = null;
+    this._lastTs = 0;
+    /** @type {Map<string, { peerId: string, addresses: string[], authenticated: boolean, firstSeenAt: number, lastSeenAt: number, ts: number }>} */
+    this._peers = new Map();
+    /** @type {Map<string, number>} */
+    this._goneTs = new Map(); // signed peer that said bye or expired -> its last ts
+    this._localAddresses = new Set();
+    /** @type {Set<string>} */
+    this._connected = new Set(); // peers the transport reports as connected
+    /** @type {Set<string>} */
+    this._dialing = new Set();
+    this._handlers = null;
+  }
+
+  async start() {
+    if (this._socket) return;
+    if (this._identity) {
+      const derived = await HelloHandshake.derivePeerId(this._crypto, this._identity.algorithmId, this._identity.publicKey);
+      if (derived !== this._transport.getLocalId()) {
+        throw new Error("MulticastDiscovery identity does not match the transport peerId");
+      }
+    }
+
+    this._localAddresses = localHostAddresses();
+    const socket = dgram.createSocket({ type: this._group.includes(":") ? "udp6" : "udp4", reuseAddr: true });
+    await new Promise((resolve, reject) => {
+      socket.once("error", reject);
+      socket.bind(this._port, () => {
+        socket.off("error", reject);
+        resolve();
+      });
+    });
+    try {
+      socket.addMembership(this._group, this._interface);
+      socket.setMulticastTTL(this._multicastTtl);
+      socket.setMulticastLoopback(this._loopback);
+      if (this._interface) socket.setMulticastInterface(this._interface);
+    } catch (err) {
+      socket.close();
+      throw err;
+    }
+    socket.on("message", (msg, rinfo) => {
+      this._onMessage(msg, rinfo).catch((err) => this.emit("error", err));
+    });
+    socket.on("error", (err) => this.emit("error", err));
+    this._socket = socket;
+
+    this._handlers = {
+      connection: ({ peerId }) => this._connected.add(peerId),
+      disconnection: ({ peerId }) => this._connected.delete(peerId),
+    };
+    for (const [event, fn] of Object.entries(this._handlers)) this._transport.on(event, fn);
+
+    this._timer = setInterval(() => {
+      this._expire();
+      this._announce(false).catch((err) => this.emit("error", err));
+    }, this._intervalMs);
+    this._timer.unref?.();
+    await this._announce(false);
+  }
+
+  async stop() {
+    if (!this._socket) return;
+    clearInterval(this._timer);
+    this._timer = null;
+    await this._announce(true).catch(() => {});
+    for (const [event, fn] of Object.entries(this._handlers)) this._transport.off(event, fn);
+    this._handlers = null;
+    const socket = this._socket;
+    this._socket = null;
+    await new Promise((resolve) => socket.close(resolve));
+    this._peers.clear();
+    this._goneTs.clear();
+    this._connected.clear();
+    this._dialing.clear();
+  }
+
+  /**
+   * @returns {{ peerId: string, addresses: string[], authenticated: boolean, firstSeenAt: number, lastSeenAt: number }[]}
+   */
+  getPeers() {
+    this._expire();
+    return [...this._peers.values()].map(({ ts, ...peer }) => ({ ...peer, addresses: [...peer.addresses] }));
+  }
+
+  async _announce(bye) {
+    const peerId = this._transport.getLocalId();
+    const addresses = bye ? [] : (this._transport.getListenAddresses?.() ?? []).filter((a) => !String(a).startsWith("unix://"));
+    // Strictly increasing, even if two announcements fall into the same millisecond.
+    const ts = Math.max(Date.now(), this._lastTs + 1);
+    this._lastTs = ts;
+    const msg = { t: "rez-announce", peerId, ts, addresses };
+    if (bye) msg.bye = true;
+    if (this._identity) {
+      const sig = await this._crypto.sign(
+        announceTranscript(peerId, ts, bye, addresses),
+        this._identity.privateKey,
+        this._identity.algorithmId
+      );
+      Object.assign(msg, { alg: this._identity.algorithmId, publicKey: base64Url(this._identity.publicKey), sig: base64Url(sig) });
+    }
+    const socket = this._socket;
+    if (!socket) return;
+    const bytes = Buffer.from(JSON.stringify(msg), "utf8");
+    await new Promise((resolve, reject) => {
+      socket.send(bytes, this._port, this._group, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  async _onMessage(msg, rinfo) {
+    if (msg.length > MAX_ANNOUNCE_BYTES) return;
+    let obj;
+    try {
+      obj = JSON.parse(msg.toString("utf8"));
+    } catch {
+      return; // not ours
+    }
+    if (!obj || obj.t !== "rez-announce" || typeof obj.peerId !== "string" || !obj.peerId) return;
+    if (!Number.isSafeInteger(obj.ts) || !Array.isArray(obj.addresses)) return;
+    if (obj.addresses.some((a) => typeof a !== "string")) return;
+    if (obj.peerId === this._transport.getLocalId()) return; // our own, looped back
+
+    const authenticated = await this._verify(obj);
+    if (!authenticated && this._requireSigned) return;
+    const known = this._peers.get(obj.peerId);
+    if (known && obj.ts <= known.ts) return; // replayed or out of order
+    if (known?.authenticated && !authenticated) return; // unsigned can't override a signed peer
+    if (!known && obj.ts <= (this._goneTs.get(obj.peerId) ?? -Infinity)) return;
+
+    if (obj.bye) {
+      if (known) this._forget(known, "bye", obj.ts);
+      return;
+    }
+    if (!known && this._peers.size >= this._maxPeers) {
+      this._expire();
+      if (this._peers.size >= this._maxPeers) return;
+    }
+
+    const now = Date.now();
+    const addresses = reachableAddresses(obj.addresses, rinfo.address, this._localAddresses);
+    const changed = !known || known.addresses.join("\n") !== addresses.join("\n");
+    const peer = { peerId: obj.peerId, addresses, authenticated, firstSeenAt: known?.firstSeenAt ?? now, lastSeenAt: now, ts: obj.ts };
+    this._peers.set(obj.peerId, peer);
+    if (changed) this.emit("peer", { peerId: peer.peerId, addresses: [...addresses], authenticated });
+    this._maybeDial(peer);
+  }
+
+  /**
+   * @returns {Promise<boolean>} true if the announcement is signed by the key its peerId commits to
+   */
+  async _verify(obj) {
+    if (typeof obj.sig !== "string" || typeof obj.alg !== "string" || typeof obj.publicKey !== "string") return false;
+    if (!this._crypto) return false;
+    if (Math.abs(Date.now() - obj.ts) > this._maxClockSkewMs) return false;
+    try {
+      const publicKey = fromBase64Url(obj.publicKey);
+      const derived = await HelloHandshake.derivePeerId(this._crypto, obj.alg, publicKey);
+      if (derived !== obj.peerId) return false;
+      return await this._crypto.verify(
+        announceTranscript(obj.peerId, obj.ts, !!obj.bye, obj.addresses),
+        fromBase64Url(obj.sig),
+        publicKey,
+        obj.alg
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  _expire() {
+    const now = Date.now();
+    const cutoff = now - this._peerTtlMs;
+    for (const peer of [...this._peers.values()]) {
+      if (peer.lastSeenAt < cutoff) this._forget(peer, "timeout");
+    }
+    // Older timestamps fail the clock skew check anyway.
+    for (const [peerId, ts] of this._goneTs) {
+      if (ts < now - this._maxClockSkewMs) this._goneTs.delete(peerId);
+    }
+  }
+
+  _forget(peer, reason, ts = peer.ts) {
+    this._peers.delete(peer.peerId);
+    if (peer.authenticated) {
+      this._goneTs.delete(peer.peerId);
+      this._goneTs.set(peer.peerId, ts);
+      // Bounded like the table; the oldest entry goes first.
+      if (this._goneTs.size > this._maxPeers) this._goneTs.delete(this._goneTs.keys().next().value);
+    }
+    this.emit("expired", { peerId: peer.peerId, reason });
+  }
+
+  _maybeDial(peer) {
+    if (!this._autoDial || !peer.addresses.length) return;
+    if (this._connected.has(peer.peerId) || this._dialing.has(peer.peerId)) return;
+    if (this._dialing.size >= this._maxConcurrentDials) return;
+    if (typeof this._autoDial === "function" && !this._autoDial({ ...peer, addresses: [...peer.addresses] })) return;
+    if (typeof this._transport.connect !== "function") return;
+
+    this._dialing.add(peer.peerId);
+    (async () => {
+      let lastErr = null;
+      for (const address of peer.addresses) {
+        try {
+          await this._transport.connect(address, { expectedPeerId: peer.peerId });
+          return;
+        } catch (err) {
+          lastErr = err;
+        }
+      }
+      this.emit("dial-failed", { peerId: peer.peerId, error: lastErr });
+    })().finally(() => this._dialing.delete(peer.peerId));
+  }
+}
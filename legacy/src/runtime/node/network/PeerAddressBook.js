@@ -0,0 +1,366 @@
+import { EventEmitter } from "node:events";
+
+const NAMESPACE = "rez-peer-addresses";
+
+function base64Url(bytes) {
+  return Buffer.from(bytes)
+    .toString("base64")
+    .replaceAll("+", "-")
+    .replaceAll("/", "_")
+    .replaceAll("=", "");
+}
+
+// peerIds contain ":" and base64url; hex keeps keys safe as FileStorageProvider filenames and LIKE patterns.
+function peerKey(peerId) {
+  return Buffer.from(String(peerId), "utf8").toString("hex");
+}
+
+/**
+ * Best first: addresses that didn't just fail, then the most recently successful, then the most used.
+ */
+function compareAddresses(a, b) {
+  return (
+    a.consecutiveFailures - b.consecutiveFailures ||
+    (b.lastSuccessAt ?? 0) - (a.lastSuccessAt ?? 0) ||
+    b.successes - a.successes ||
+    (b.learnedAt ?? 0) - (a.learnedAt ?? 0)
+  );
+}
+
+function newAddress(address, now) {
+  return {
+    address,
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    learnedAt: now,
+  };
+}
+
+/**
+ * PeerAddressBook
+ *
+ * Remembers, across restarts, where peers were reached: per peerId the addresses it was dialed (or
+ * announced) at with success/failure counts, when it was last connected, and the public key its
+ * authenticated hello proved. Records are JSON in a StorageProvider (namespace "rez-peer-addresses"),
+ * one per peer:
+ *   { peerId, firstSeenAt, lastSeenAt, algorithmId, publicKey, addresses: [{ address, successes, failures,
+ *     consecutiveFailures, lastSuccessAt, lastFailureAt, lastError, learnedAt }] }
+ *
+ * - attach(transport) keeps it current from "connection" (an outbound connection's `address`, or `url`
+ *   for a WebSocket uplink, counts as a success) and "disconnection" events. Only authenticated and
+ *   outbound connections add a peer; an inbound unauthenticated one could claim any peerId
+ * - learn(peerId, addresses) adds addresses heard elsewhere, e.g. from MulticastDiscovery "peer" events
+ * - getAddresses(peerId) lists addresses best first; dial(transport, peerId) tries them in that order and
+ *   records failures; redialKnownPeers(transport) does that on startup for recently seen peers
+ * - at most `maxAddressesPerPeer` (default 8) addresses are kept per peer, dropping the worst, and at most
+ *   `maxPeers` (default 1000) peers, dropping the least recently seen when a new one is added
+ *
+ * Updates to one peer are applied in order; errors writing the storage from event handlers are emitted as
+ * "error". The storage must be initialized by the caller and outlive the address book.
+ */
+export default class PeerAddressBook extends EventEmitter {
+  /**
+   * @param {object} storage - StorageProvider
+   * @param {{ maxAddressesPerPeer?: number, maxPeers?: number }} [options]
+   */
+  constructor(storage, options = {}) {
+    super();
+    if (!storage || typeof storage.put !== "function" || typeof storage.list !== "function") {
+      throw new Error("PeerAddressBook requires a StorageProvider");
+    }
+    this._storage = storage;
+    this._maxAddresses = options.maxAddressesPerPeer ?? 8;
+    this._maxPeers = options.maxPeers ?? 1000;
+    this._pruning = Promise.resolve();
+    /** @type {Map<string, number>|null} */
+    this._lastSeen = null; // peerId -> lastSeenAt (or firstSeenAt), read from storage once by the first prune
+    /** @type {Map<string, Promise<void>>} */
+    this._chains = new Map(); // peerId -> last pending update
+    this._transport = null;
+    this._handlers = null;
+  }
+
+  /**
+   * Record connections and disconnections of `transport` from now on.
+   * @param {object} transport
+   */
+  attach(transport) {
+    this.detach();
+    this._transport = transport;
+    this._handlers = {
+      connection: (info) => this._onConnection(info).catch((err) => this.emit("error", err)),
+      disconnection: ({ peerId }) => this.touch(peerId).catch((err) => this.emit("error", err)),
+    };
+    for (const [event, fn] of Object.entries(this._handlers)) transport.on(event, fn);
+  }
+
+  detach() {
+    if (!this._handlers) return;
+    for (const [event, fn] of Object.entries(this._handlers)) this._transport.off(event, fn);
+    this._handlers = null;
+    this._transport = null;
+  }
+
+  /**
+   * @param {string} peerId
+   * @returns {Promise<object|null>} the peer's record
+   */
+  async get(peerId) {
+    await this._chains.get(String(peerId));
+    return await this._storage.get(NAMESPACE, peerKey(peerId));
+  }
+
+  /**
+   * Every known peer, most recently seen first.
+   * @returns {Promise<object[]>}
+   */
+  async list() {
+    const out = [];
+    let cursor = null;
+    do {
+      const page = await this._storage.list(NAMESPACE, { cursor, limit: 1000 });
+      for (const key of page.keys) {
+        const record = await this._storage.get(NAMESPACE, key);
+        if (record) out.push(record);
+      }
+      cursor = page.cursor;
+    } while (cursor);
+    return out.sort((a, b) => (b.lastSeenAt ?? 0) - (a.lastSeenAt ?? 0));
+  }
+
+  /**
+   * @param {string} peerId
+   * @returns {Promise<string[]>} known addresses, best first
+   */
+  async getAddresses(peerId) {
+    const record = await this.get(peerId);
+    return record ? [...record.addresses].sort(compareAddresses).map((a) => a.address) : [];
+  }
+
+  /**
+   * Add addresses a peer is said to be reachable at (without counting them as a success).
+   * @param {string} peerId
+   * @param {string[]} addresses
+   */
+  async learn(peerId, addresses) {
+    await this._update(peerId, (record, now) => {
+      for (const address of addresses) this._address(record, String(address), now);
+    });
+  }
+
+  /**
+   * @param {string} peerId
+   * @param {string|null} address - the address it was reached at (null: inbound, only lastSeenAt changes)
+   * @param {{ publicKey?: Uint8Array|null, algorithmId?: string|null }} [proof] - from an authenticated hello
+   */
+  async recordSuccess(peerId, address, proof = {}) {
+    await this._update(peerId, (record, now) => {
+      record.lastSeenAt = now;
+      if (proof.publicKey) {
+        record.publicKey = base64Url(proof.publicKey);
+        record.algorithmId = proof.algorithmId ?? null;
+      }
+      if (!address) return;
+      const entry = this._address(record, String(address), now);
+      entry.successes += 1;
+      entry.consecutiveFailures = 0;
+      entry.lastSuccessAt = now;
+    });
+  }
+
+  /**
+   * @param {string} peerId
+   * @param {string} address
+   * @param {Error|string|null} [error]
+   */
+  async recordFailure(peerId, address, error = null) {
+    await this._update(peerId, (record, now) => {
+      const entry = this._address(record, String(address), now);
+      entry.failures += 1;
+      entry.consecutiveFailures += 1;
+      entry.lastFailureAt = now;
+      entry.lastError = error ? String(error.message ?? error) : null;
+    });
+  }
+
+  /**
+   * Mark a known peer as seen now.
+   * @param {string} peerId
+   */
+  async touch(peerId) {
+    await this._update(
+      peerId,
+      (record, now) => {
+        record.lastSeenAt = now;
+      },
+      { create: false }
+    );
+  }
+
+  /**
+   * @param {string} peerId
+   * @returns {Promise<boolean>} false if the peer wasn't known
+   */
+  async remove(peerId) {
+    const id = String(peerId);
+    await this._chains.get(id);
+    const key = peerKey(id);
+    if (!(await this._storage.get(NAMESPACE, key))) return false;
+    await this._storage.delete(NAMESPACE, key);
+    this._lastSeen?.delete(id);
+    return true;
+  }
+
+  /**
+   * Connect to a known peer, trying its addresses best first. Failures are recorded; the success is
+   * recorded by the "connection" event if the book is attached to `transport`, here otherwise.
+   * @param {object} transport - Transport with connect(address, { expectedPeerId })
+   * @param {string} peerId
+   * @returns {Promise<string>} the address that worked
+   */
+  async dial(transport, peerId) {
+    const addresses = await this.getAddresses(peerId);
+    if (!addresses.length) throw new Error("PeerAddressBook has no address for peer");
+    let lastErr = null;
+    for (const address of addresses) {
+      try {
+        await transport.connect(address, { expectedPeerId: peerId });
+      } catch (err) {
+        lastErr = err;
+        await this.recordFailure(peerId, address, err);
+        continue;
+      }
+      if (this._transport !== transport) await this.recordSuccess(peerId, address);
+      return address;
+    }
+    throw lastErr;
+  }
+
+  /**
+   * Dial the most recently seen peers (e.g. on startup).
+   * @param {object} transport
+   * @param {{ limit?: number, maxAgeMs?: number }} [options] - at most `limit` (default 32) peers seen within
+   *   `maxAgeMs` (default 7 days)
+   * @returns {Promise<{ peerId: string, address: string|null, error: Error|null }[]>}
+   */
+  async redialKnownPeers(transport, options = {}) {
+    const limit = options.limit ?? 32;
+    const cutoff = Date.now() - (options.maxAgeMs ?? 7 * 24 * 60 * 60 * 1000);
+    const localId = transport.getLocalId?.();
+    const peers = (await this.list())
+      .filter((r) => r.peerId !== localId && (r.lastSeenAt ?? 0) >= cutoff && r.addresses.length)
+      .slice(0, limit);
+    return await Promise.all(
+      peers.map(async ({ peerId }) => {
+        try {
+          return { peerId, address: await this.dial(transport, peerId), error: null };
+        } catch (err) {
+          return { peerId, address: null, error: err };
+        }
+      })
+    );
+  }
+
+  async _onConnection(info) {
+    if (!info.outbound && !info.authenticated) return;
+    const address = info.outbound ? (info.address ?? info.url ?? null) : null;
+    await this.recordSuccess(info.peerId, address, info.authenticated ? info : {});
+  }
+
+  _address(record, address, now) {
+    let entry = record.addresses.find((a) => a.address === address);
+    if (!entry) {
+      entry = newAddress(address, now);
+      record.addresses.push(entry);
+      if (record.addresses.length > this._maxAddresses) {
+        // Keep the new one; it hasn't had a chance yet.
+        const worst = record.addresses.filter((a) => a !== entry).sort(compareAddresses).pop();
+        record.addresses.splice(record.addresses.indexOf(worst), 1);
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Read-modify-write one peer's record, after any update to it still in flight.
+   * @param {{ create?: boolean }} [options] - create: false skips peers without a record
+   */
+  _update(peerId, fn, { create = true } = {}) {
+    const id = String(peerId);
+    const prev = this._chains.get(id) ?? Promise.resolve();
+    const next = prev.then(async () => {
+      const key = peerKey(id);
+      const now = Date.now();
+      let record = await this._storage.get(NAMESPACE, key);
+      const created = !record;
+      if (created && !create) return false;
+      record ??= {
+        peerId: id,
+        firstSeenAt: now,
+        lastSeenAt: null,
+        algorithmId: null,
+        publicKey: null,
+        addresses: [],
+      };
+      fn(record, now);
+      await this._storage.put(NAMESPACE, key, record);
+      this._lastSeen?.set(id, record.lastSeenAt ?? record.firstSeenAt ?? 0);
+      return created;
+    });
+    const settled = next.catch(() => {});
+    this._chains.set(id, settled);
+    settled.then(() => {
+      if (this._chains.get(id) === settled) this._chains.delete(id);
+    });
+    // Pruned outside the chain: removing another peer waits for that peer's updates.
+    return next.then((created) => (created ? this._prune(id) : undefined));
+  }
+
+  /**
+   * Drop the least recently seen peers (never `keep`, the one just added) while there are more than maxPeers.
+   * Works from the in-memory lastSeen index, so only the first call reads every record.
+   */
+  _prune(keep) {
+    const run = this._pruning.then(async () => {
+      const lastSeen = await this._loadLastSeen();
+      if (lastSeen.size <= this._maxPeers) return;
+      const victims = [...lastSeen]
+        .filter(([peerId]) => peerId !== keep)
+        .sort((a, b) => a[1] - b[1])
+        .slice(0, lastSeen.size - this._maxPeers);
+      for (const [peerId] of victims) {
+        if (!(await this.remove(peerId))) lastSeen.delete(peerId);
+      }
+    });
+    this._pruning = run.catch(() => {});
+    return run;
+  }
+
+  async _loadLastSeen() {
+    if (this._lastSeen) return this._lastSeen;
+    // Published before reading so updates made meanwhile land in it; a listed record doesn't overwrite them.
+    const lastSeen = new Map();
+    this._lastSeen = lastSeen;
+    try {
+      let cursor = null;
+      do {
+        const page = await this._storage.list(NAMESPACE, { cursor, limit: 1000 });
+        for (const key of page.keys) {
+          const record = await this._storage.get(NAMESPACE, key);
+          if (record && !lastSeen.has(record.peerId)) {
+            lastSeen.set(record.peerId, record.lastSeenAt ?? record.firstSeenAt ?? 0);
+          }
+        }
+        cursor = page.cursor;
+      } while (cursor);
+    } catch (err) {
+      this._lastSeen = null;
+      throw err;
+    }
+    return lastSeen;
+  }
+}
@@ -0,0 +1,320 @@
+import { EventEmitter } from "node:events";
+import { Duplex } from "node:stream";
+
+// Every multiplexer frame starts with this magic so it can share a transport with plain frames.
+const MAGIC = Buffer.from("RZMX", "ascii");
+const HEADER_BYTES = MAGIC.length + 1 + 4; // magic + type + streamId
+
+const OPEN = 1; // body: JSON { label }
+const DATA = 2; // body: bytes
+const WINDOW = 3; // body: u32 credit increment
+const CLOSE = 4; // sender finished writing (half-close)
+const RESET = 5; // body: UTF-8 reason; abort both directions
+
+function encodeFrame(type, streamId, body = null) {
+  const header = Buffer.allocUnsafe(HEADER_BYTES);
+  MAGIC.copy(header, 0);
+  header[MAGIC.length] = type;
+  header.writeUInt32BE(streamId, MAGIC.length + 1);
+  return new Uint8Array(body ? Buffer.concat([header, Buffer.from(body)]) : header);
+}
+
+/**
+ * StreamMultiplexer
+ *
+ * Many independent, ordered, flow-controlled streams over one Transport connection per peer,
+ * so a bulk transfer doesn't hold up chat frames behind it. Works over any Transport
+ * (TcpTransport, WebSocketTransport, SecureSessionTransport, ...) using only send() and the
+ * "frame"/"disconnection" events.
+ *
+ * Wire format (inside a transport frame):
+ *   "RZMX" | type u8 | streamId u32 | body
+ *   OPEN { label } / DATA bytes / WINDOW u32 credit / CLOSE / RESET reason
+ * Stream ids are odd for the peer with the lower peerId and even for the other, so both sides can
+ * open streams without coordination.
+ *
+ * Flow control: a sender may have at most `initialWindowBytes` unacknowledged DATA per stream;
+ * the receiver returns credit (WINDOW) as its reader drains the stream, so a slow consumer stalls
+ * only its own stream. Writes are cut into `chunkBytes` pieces, which lets other streams and plain
+ * frames interleave between them.
+ *
+ * Streams are Node Duplex streams (readable side also works with `for await`).
+ * Events: "stream" (incoming MuxStream), "frame" (non-multiplexer frames, passed through).
+ */
+export default class StreamMultiplexer extends EventEmitter {
+  /**
+   * @param {object} transport - Started Transport
+   * @param {{ initialWindowBytes?: number, chunkBytes?: number, maxStreamsPerPeer?: number }} [options]
+   */
+  constructor(transport, options = {}) {
+    super();
+    this._transport = transport;
+    this._initialWindowBytes = options.initialWindowBytes ?? 256 * 1024; // 256KB
+    this._chunkBytes = Math.min(options.chunkBytes ?? 16 * 1024, this._initialWindowBytes); // 16KB
+    this._maxStreamsPerPeer = options.maxStreamsPerPeer ?? 256;
+
+    /** @type {Map<string, { streams: Map<number, MuxStream>, nextId: number }>} */
+    this._peers = new Map();
+    this._handlers = null;
+  }
+
+  /**
+   * True if `bytes` is a multiplexer frame (for code that also listens to the raw transport).
+   * @param {Uint8Array} bytes
+   * @returns {boolean}
+   */
+  static isMuxFrame(bytes) {
+    return bytes.length >= HEADER_BYTES && Buffer.from(bytes.buffer, bytes.byteOffset, MAGIC.length).equals(MAGIC);
+  }
+
+  start() {
+    if (this._handlers) return;
+    this._handlers = {
+      frame: ({ from, bytes }) => this._onFrame(from, bytes),
+      disconnection: ({ peerId }) => this._onDisconnection(peerId),
+    };
+    for (const [event, fn] of Object.entries(this._handlers)) this._transport.on(event, fn);
+  }
+
+  stop() {
+    if (!this._handlers) return;
+    for (const [event, fn] of Object.entries(this._handlers)) this._transport.off(event, fn);
+    this._handlers = null;
+    for (const peerId of [...this._peers.keys()]) this._onDisconnection(peerId, new Error("StreamMultiplexer stopped"));
+  }
+
+  /**
+   * Open a new outgoing stream to a connected peer.
+   * @param {string} peerId
+   * @param {{ label?: string }} [options] - label is delivered to the remote "stream" listener
+   * @returns {MuxStream}
+   */
+  openStream(peerId, options = {}) {
+    if (!this._handlers) throw new Error("StreamMultiplexer not started");
+    const peer = this._peer(peerId);
+    if (peer.streams.size >= this._maxStreamsPerPeer) throw new Error("StreamMultiplexer too many streams");
+    const id = peer.nextId;
+    peer.nextId += 2;
+    const label = options.label ?? null;
+    const stream = this._createStream(peerId, id, label);
+    this._sendFrame(peerId, OPEN, id, new TextEncoder().encode(JSON.stringify({ label }))).catch((err) =>
+      stream.destroy(err)
+    );
+    return stream;
+  }
+
+  /**
+   * @param {string} [peerId]
+   * @returns {number} open streams (to one peer, or in total)
+   */
+  getStreamCount(peerId) {
+    if (peerId != null) return this._peers.get(peerId)?.streams.size ?? 0;
+    let n = 0;
+    for (const peer of this._peers.values()) n += peer.streams.size;
+    return n;
+  }
+
+  _peer(peerId) {
+    let peer = this._peers.get(peerId);
+    if (!peer) {
+      const localId = String(this._transport.getLocalId());
+      peer = { streams: new Map(), nextId: localId < peerId ? 1 : 2 };
+      this._peers.set(peerId, peer);
+    }
+    return peer;
+  }
+
+  _createStream(peerId, id, label) {
+    const stream = new MuxStream(this, peerId, id, label, {
+      windowBytes: this._initialWindowBytes,
+      chunkBytes: this._chunkBytes,
+    });
+    this._peer(peerId).streams.set(id, stream);
+    return stream;
+  }
+
+  _removeStream(stream) {
+    const peer = this._peers.get(stream.peerId);
+    if (!peer || peer.streams.get(stream.id) !== stream) return;
+    peer.streams.delete(stream.id);
+  }
+
+  async _sendFrame(peerId, type, streamId, body = null) {
+    await this._transport.send(peerId, encodeFrame(type, streamId, body));
+  }
+
+  _onFrame(from, bytes) {
+    if (!StreamMultiplexer.isMuxFrame(bytes)) {
+      this.emit("frame", { from, bytes });
+      return;
+    }
+    const buf = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const type = buf[MAGIC.length];
+    const id = buf.readUInt32BE(MAGIC.length + 1);
+    const body = buf.subarray(HEADER_BYTES);
+    const peer = this._peer(from);
+    const stream = peer.streams.get(id);
+
+    if (type === OPEN) {
+      if (stream || id % 2 === peer.nextId % 2) {
+        this._reset(from, id, "invalid stream id");
+        return;
+      }
+      if (peer.streams.size >= this._maxStreamsPerPeer) {
+        this._reset(from, id, "too many streams");
+        return;
+      }
+      let label = null;
+      try {
+        label = JSON.parse(body.toString("utf8"))?.label ?? null;
+      } catch {
+        // label is optional metadata
+      }
+      this.emit("stream", this._createStream(from, id, label));
+      return;
+    }
+
+    if (!stream) {
+      // Late frames for a stream we already dropped; never answer a RESET with a RESET.
+      if (type !== RESET && type !== WINDOW) this._reset(from, id, "unknown stream");
+      return;
+    }
+    if (type === DATA) stream._onData(body);
+    else if (type === WINDOW && body.length >= 4) stream._onWindow(body.readUInt32BE(0));
+    else if (type === CLOSE) stream._onClose();
+    else if (type === RESET) stream._onReset(body.toString("utf8"));
+    else this._reset(from, id, "unknown frame type");
+  }
+
+  _reset(peerId, id, reason) {
+    this._sendFrame(peerId, RESET, id, new TextEncoder().encode(reason)).catch(() => {});
+  }
+
+  _onDisconnection(peerId, err = new Error("StreamMultiplexer peer disconnected")) {
+    const peer = this._peers.get(peerId);
+    if (!peer) return;
+    this._peers.delete(peerId);
+    for (const stream of peer.streams.values()) stream._abort(err);
+  }
+}
+
+class MuxStream extends Duplex {
+  /**
+   * @param {StreamMultiplexer} mux
+   * @param {string} peerId
+   * @param {number} id
+   * @param {string|null} label
+   * @param {{ windowBytes: number, chunkBytes: number }} options
+   */
+  constructor(mux, peerId, id, label, options) {
+    super({ allowHalfOpen: true });
+    this._mux = mux;
+    this.peerId = peerId;
+    this.id = id;
+    this.label = label;
+
+    this._windowBytes = options.windowBytes;
+    this._chunkBytes = options.chunkBytes;
+    this._sendWindow = options.windowBytes; // bytes we may still send
+    this._windowWaiter = null;
+    this._recvAllowed = options.windowBytes; // bytes the remote may still send
+    this._recvUnacked = 0; // received bytes not yet returned as credit
+    this._readerFull = false;
+    this._localEnded = false;
+    this._remoteEnded = false;
+    this._remoteReset = false;
+
+    this.once("close", () => mux._removeStream(this));
+  }
+
+  _write(chunk, encoding, callback) {
+    this._sendData(chunk).then(() => callback(), callback);
+  }
+
+  _final(callback) {
+    this._mux._sendFrame(this.peerId, CLOSE, this.id).then(() => {
+      this._localEnded = true;
+      callback();
+    }, callback);
+  }
+
+  _read() {
+    this._readerFull = false;
+    this._grantCredit();
+  }
+
+  _destroy(err, callback) {
+    const clean = !err && this._localEnded && this._remoteEnded;
+    if (!clean && !this._remoteReset) this._mux._reset(this.peerId, this.id, err?.message ?? "stream destroyed");
+    this._wakeWriter();
+    callback(err);
+  }
+
+  async _sendData(chunk) {
+    let off = 0;
+    while (off < chunk.length) {
+      while (this._sendWindow <= 0) {
+        await new Promise((resolve) => {
+          this._windowWaiter = resolve;
+        });
+        if (this.destroyed) throw new Error("StreamMultiplexer stream destroyed");
+      }
+      const n = Math.min(chunk.length - off, this._sendWindow, this._chunkBytes);
+      this._sendWindow -= n;
+      await this._mux._sendFrame(this.peerId, DATA, this.id, chunk.subarray(off, off + n));
+      off += n;
+    }
+  }
+
+  _wakeWriter() {
+    const wake = this._windowWaiter;
+    this._windowWaiter = null;
+    wake?.();
+  }
+
+  _grantCredit() {
+    // Return credit in batches of half a window, and only while the reader keeps up.
+    if (this._readerFull || this._recvUnacked < this._windowBytes / 2 || this.destroyed) return;
+    const credit = this._recvUnacked;
+    this._recvUnacked = 0;
+    this._recvAllowed += credit;
+    const body = Buffer.allocUnsafe(4);
+    body.writeUInt32BE(credit, 0);
+    this._mux._sendFrame(this.peerId, WINDOW, this.id, body).catch((err) => this.destroy(err));
+  }
+
+  _onData(body) {
+    if (this._remoteEnded) {
+      this.destroy(new Error("StreamMultiplexer data after close"));
+      return;
+    }
+    if (body.length > this._recvAllowed) {
+      this.destroy(new Error("StreamMultiplexer flow control window exceeded"));
+      return;
+    }
+    this._recvAllowed -= body.length;
+    this._recvUnacked += body.length;
+    if (!this.push(Buffer.from(body))) this._readerFull = true;
+    this._grantCredit();
+  }
+
+  _onWindow(credit) {
+    this._sendWindow += credit;
+    this._wakeWriter();
+  }
+
+  _onClose() {
+    this._remoteEnded = true;
+    this.push(null);
+  }
+
+  _onReset(reason) {
+    this._remoteReset = true;
+    this.destroy(new Error(`StreamMultiplexer stream reset by peer: ${reason}`));
+  }
+
+  _abort(err) {
+    this._remoteReset = true; // the connection is gone; nothing to tell the remote
+    this.destroy(err);
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * IPv4-mapped IPv6 addresses ("::ffff:10.0.0.1") count as their IPv4 address.
+ */
+function ipKey(remoteAddress) {
+  if (!remoteAddress) return null;
+  const s = String(remoteAddress);
+  return s.startsWith("::ffff:") && s.includes(".") ? s.slice("::ffff:".length) : s;
+}
+
+/** @type {WeakSet<object>} */
+const refusedSockets = new WeakSet();
+
+// An unlimited bucket stays full (Infinity * 0 would be NaN).
+function refill(tokens, perSecond, elapsedSeconds) {
+  return perSecond === Infinity ? Infinity : Math.min(perSecond, tokens + elapsedSeconds * perSecond);
+}
+
+/**
+ * ConnectionLimiter
+ *
+ * Admission and inbound rate limits for a listening transport, shared by TcpTransport and WebSocketTransport.
+ *
+ * - admit(remoteAddress) / release(remoteAddress): at most `maxConnections` accepted sockets in total and
+ *   `maxConnectionsPerIp` from one remote address (sockets without one, e.g. unix sockets, only count
+ *   towards the total)
+ * - admitSocket(socket, onLimit): the same for a socket a server just accepted (before TLS or anything else
+ *   is read from it), counted until it closes. A refused socket is destroyed right away and
+ *   onLimit({ kind: "connections"|"connections-per-ip" }) called; isRefused() then recognizes it, and the
+ *   TLS socket wrapping it, so the transport can ignore the tlsClientError that destroying it causes
+ * - throttle(socket, onLimit): token buckets for the frames and bytes one connection may deliver per second
+ *   (`maxFramesPerSecond`, `maxBytesPerSecond`, each holding one second's worth). A connection over budget
+ *   isn't dropped: its socket is paused until the bucket has refilled (frames already read are still
+ *   delivered), so TCP flow control slows the sender down. onLimit({ kind: "frame-rate"|"byte-rate", delayMs })
+ *   is called each time that happens.
+ *
+ * Every limit defaults to unlimited.
+ */
+export default class ConnectionLimiter {
+  /**
+   * @param {{ maxConnections?: number, maxConnectionsPerIp?: number, maxFramesPerSecond?: number,
+   *   maxBytesPerSecond?: number }} [options]
+   */
+  constructor(options = {}) {
+    this._maxConnections = options.maxConnections ?? Infinity;
+    this._maxPerIp = options.maxConnectionsPerIp ?? Infinity;
+    this._framesPerSecond = options.maxFramesPerSecond ?? Infinity;
+    this._bytesPerSecond = options.maxBytesPerSecond ?? Infinity;
+    this._total = 0;
+    /** @type {Map<string, number>} */
+    this._perIp = new Map(); // remote address -> accepted sockets
+  }
+
+  /**
+   * Count a new inbound socket, unless a limit is reached.
+   * @param {string|null|undefined} remoteAddress
+   * @returns {"connections"|"connections-per-ip"|null} the limit that refused it, null if admitted
+   */
+  admit(remoteAddress) {
+    if (this._total >= this._maxConnections) return "connections";
+    const ip = ipKey(remoteAddress);
+    const count = ip ? (this._perIp.get(ip) ?? 0) : 0;
+    if (ip && count >= this._maxPerIp) return "connections-per-ip";
+    this._total += 1;
+    if (ip) this._perIp.set(ip, count + 1);
+    return null;
+  }
+
+  /**
+   * @param {string|null|undefined} remoteAddress - as passed to admit()
+   */
+  release(remoteAddress) {
+    this._total = Math.max(0, this._total - 1);
+    const ip = ipKey(remoteAddress);
+    if (!ip || !this._perIp.has(ip)) return;
+    const count = this._perIp.get(ip) - 1;
+    if (count > 0) this._perIp.set(ip, count);
+    else this._perIp.delete(ip);
+  }
+
+  /**
+   * @param {import("node:net").Socket} socket - freshly accepted
+   * @param {(info: { kind: string }) => void} onLimit
+   * @returns {boolean} false if the socket was refused (and destroyed)
+   */
+  admitSocket(socket, onLimit) {
+    const remoteAddress = socket.remoteAddress ?? null;
+    const refused = this.admit(remoteAddress);
+    if (refused) {
+      refusedSockets.add(socket);
+      socket.destroy();
+      onLimit({ kind: refused });
+      return false;
+    }
+    socket.once("close", () => this.release(remoteAddress));
+    return true;
+  }
+
+  /**
+   * @param {object} socket - a socket passed to admitSocket(), or a TLS socket wrapping one
+   * @returns {boolean} true if admitSocket() refused it
+   */
+  isRefused(socket) {
+    // TLSSocket keeps the raw socket it wraps in _parent.
+    return refusedSockets.has(socket) || (!!socket?._parent && refusedSockets.has(socket._parent));
+  }
+
+  /**
+   * @returns {{ connections: number, remoteAddresses: number }}
+   */
+  stats() {
+    return { connections: this._total, remoteAddresses: this._perIp.size };
+  }
+
+  /**
+   * @param {import("node:net").Socket} socket
+   * @param {(info: { kind: string, delayMs: number }) => void} onLimit
+   * @returns {SocketThrottle|null} null when rates are unlimited
+   */
+  throttle(socket, onLimit) {
+    if (this._framesPerSecond === Infinity && this._bytesPerSecond === Infinity) return null;
+    return new SocketThrottle(socket, this._framesPerSecond, this._bytesPerSecond, onLimit);
+  }
+}
+
+class SocketThrottle {
+  constructor(socket, framesPerSecond, bytesPerSecond, onLimit) {
+    this._socket = socket;
+    this._framesPerSecond = framesPerSecond;
+    this._bytesPerSecond = bytesPerSecond;
+    this._onLimit = onLimit;
+    this._frames = framesPerSecond;
+    this._bytes = bytesPerSecond;
+    this._refilledAt = Date.now();
+    this._timer = null;
+    this._closed = false;
+  }
+
+  /** Account for bytes read from the socket. */
+  bytes(n) {
+    this._take(0, n);
+  }
+
+  /** Account for one frame (message) received. */
+  frame() {
+    this._take(1, 0);
+  }
+
+  close() {
+    this._closed = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  _refill() {
+    const now = Date.now();
+    const elapsed = (now - this._refilledAt) / 1000;
+    this._refilledAt = now;
+    // Buckets hold one second's worth; a debt (from a chunk or frame larger than what was left) is paid off first.
+    this._frames = refill(this._frames, this._framesPerSecond, elapsed);
+    this._bytes = refill(this._bytes, this._bytesPerSecond, elapsed);
+  }
+
+  _take(frames, bytes) {
+    if (this._closed) return;
+    this._refill();
+    this._frames -= frames;
+    this._bytes -= bytes;
+    if (this._timer || (this._frames >= 0 && this._bytes >= 0)) return;
+
+    const frameWait = this._frames < 0 ? -this._frames / this._framesPerSecond : 0;
+    const byteWait = this._bytes < 0 ? -this._bytes / this._bytesPerSecond : 0;
+    const delayMs = Math.ceil(Math.max(frameWait, byteWait) * 1000);
+    this._socket.pause();
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      if (!this._closed && !this._socket.destroyed) this._socket.resume();
+    }, delayMs);
+    this._timer.unref?.();
+    this._onLimit({ kind: frameWait >= byteWait ? "frame-rate" : "byte-rate", delayMs });
+  }
+}
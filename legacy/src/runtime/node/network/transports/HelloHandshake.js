@@ -0,0 +1,191 @@
+import crypto from "node:crypto";
+
+const AUTH_CONTEXT = "rez-hello-auth/1";
+const NONCE_BYTES = 32;
+const SUPPORTED_ALGORITHMS = new Set(["ed25519", "p256"]);
+
+function base64Url(bytes) {
+  return Buffer.from(bytes)
+    .toString("base64")
+    .replaceAll("+", "-")
+    .replaceAll("/", "_")
+    .replaceAll("=", "");
+}
+
+function fromBase64Url(s) {
+  return new Uint8Array(Buffer.from(String(s), "base64url"));
+}
+
+/**
+ * Bytes a side signs to prove it owns its key: binds the *remote* nonce to both peerIds,
+ * so a signature can be neither replayed on another connection nor reflected back.
+ */
+function authTranscript(remoteNonce, signerPeerId, verifierPeerId) {
+  return Buffer.concat([
+    Buffer.from(`${AUTH_CONTEXT}\n`, "utf8"),
+    Buffer.from(remoteNonce),
+    Buffer.from(`\n${signerPeerId}\n${verifierPeerId}`, "utf8"),
+  ]);
+}
+
+/**
+ * HelloHandshake
+ *
+ * The hello exchange shared by TcpTransport, WebSocketTransport and LoopbackTransport.
+ *
+ * Without an identity the hello is the legacy, unauthenticated { t:"hello", peerId }.
+ *
+ * With `crypto` (a CryptoProvider) and `identity` ({ algorithmId:"ed25519"|"p256", publicKey, privateKey },
+ * DER as produced by generateSigningKeyPair) the local peerId is derived from the public key:
+ *   peerId = "<algorithmId>:" + base64url(sha256(SPKI DER))
+ * and both sides run a symmetric challenge-response:
+ *   -> { t:"hello", peerId, alg, publicKey, nonce }
+ *   -> { t:"auth", sig }   sig over (context | remote nonce | own peerId | remote peerId)
+ * A peer is only reported once its auth signature verifies against the key its peerId commits to.
+ */
+export default class HelloHandshake {
+  /**
+   * @param {{ localId?: string|null, crypto?: object|null, identity?: { algorithmId: string, publicKey: Uint8Array, privateKey: Uint8Array }|null }} options
+   */
+  constructor(options = {}) {
+    this._crypto = options.crypto ?? null;
+    this._identity = options.identity ?? null;
+    this._requestedId = options.localId ?? null;
+    this._localId = null;
+
+    if (this._identity && !this._crypto) throw new Error("HelloHandshake identity requires a crypto provider");
+  }
+
+  /**
+   * Derive the peerId a public key commits to.
+   * @param {object} cryptoProvider - CryptoProvider (sha256)
+   * @param {string} algorithmId
+   * @param {Uint8Array} publicKey - SPKI DER
+   * @returns {Promise<string>}
+   */
+  static async derivePeerId(cryptoProvider, algorithmId, publicKey) {
+    if (!SUPPORTED_ALGORITHMS.has(algorithmId)) throw new Error(`Unsupported signing algorithmId: ${algorithmId}`);
+    const digest = await cryptoProvider.sha256(publicKey);
+    return `${algorithmId}:${base64Url(digest)}`;
+  }
+
+  async init() {
+    if (!this._identity) {
+      if (!this._requestedId) throw new Error("HelloHandshake requires localId or identity");
+      this._localId = this._requestedId;
+      return;
+    }
+    const { algorithmId, publicKey, privateKey } = this._identity;
+    if (!publicKey || !privateKey) throw new Error("HelloHandshake identity requires publicKey and privateKey");
+    this._localId = await HelloHandshake.derivePeerId(this._crypto, algorithmId, publicKey);
+    if (this._requestedId && this._requestedId !== this._localId) {
+      throw new Error("localId does not match the peerId derived from identity.publicKey");
+    }
+  }
+
+  getLocalId() {
+    return this._localId;
+  }
+
+  isAuthenticated() {
+    return !!this._identity;
+  }
+
+  /**
+   * One handshake per connection.
+   * @param {object} [extra] - Additional hello fields (e.g. capabilities); not covered by the signature
+   * @returns {HelloSession}
+   */
+  createSession(extra = {}) {
+    return new HelloSession(this, extra);
+  }
+}
+
+class HelloSession {
+  /**
+   * @param {HelloHandshake} handshake
+   * @param {object} extra
+   */
+  constructor(handshake, extra) {
+    this._hs = handshake;
+    this._extra = extra;
+    this._nonce = handshake.isAuthenticated() ? new Uint8Array(crypto.randomBytes(NONCE_BYTES)) : null;
+    this._remote = null; // { peerId, algorithmId, publicKey, hello }
+  }
+
+  /**
+   * The hello message this side sends first.
+   * @returns {object}
+   */
+  hello() {
+    const hs = this._hs;
+    if (!hs.isAuthenticated()) return { ...this._extra, t: "hello", peerId: hs.getLocalId() };
+    return {
+      ...this._extra,
+      t: "hello",
+      peerId: hs.getLocalId(),
+      alg: hs._identity.algorithmId,
+      publicKey: base64Url(hs._identity.publicKey),
+      nonce: base64Url(this._nonce),
+    };
+  }
+
+  /**
+   * Feed the next handshake message from the remote side.
+   * Throws if the message is invalid or fails verification.
+   * @param {object} obj - Parsed JSON message
+   * @returns {Promise<{ reply: object|null, peer: { peerId: string, algorithmId: string|null, publicKey: Uint8Array|null, hello: object }|null }>}
+   *   reply: message to send back (if any); peer: set once the remote is established (hello is the raw remote hello)
+   */
+  async receive(obj) {
+    if (!this._remote) return await this._receiveHello(obj);
+    return await this._receiveAuth(obj);
+  }
+
+  async _receiveHello(obj) {
+    if (!obj || obj.t !== "hello" || typeof obj.peerId !== "string" || !obj.peerId) {
+      throw new Error("invalid hello fields");
+    }
+    const hs = this._hs;
+    if (!hs.isAuthenticated()) {
+      this._remote = { peerId: obj.peerId, algorithmId: null, publicKey: null, hello: obj };
+      return { reply: null, peer: this._remote };
+    }
+
+    if (typeof obj.alg !== "string" || typeof obj.publicKey !== "string" || typeof obj.nonce !== "string") {
+      throw new Error("hello is not authenticated");
+    }
+    const publicKey = fromBase64Url(obj.publicKey);
+    const remoteNonce = fromBase64Url(obj.nonce);
+    if (remoteNonce.length !== NONCE_BYTES) throw new Error("invalid hello nonce");
+    const derived = await HelloHandshake.derivePeerId(hs._crypto, obj.alg, publicKey);
+    if (derived !== obj.peerId) throw new Error("hello peerId does not match publicKey");
+
+    this._remote = { peerId: obj.peerId, algorithmId: obj.alg, publicKey, hello: obj };
+    const sig = await hs._crypto.sign(
+      authTranscript(remoteNonce, hs.getLocalId(), obj.peerId),
+      hs._identity.privateKey,
+      hs._identity.algorithmId
+    );
+    return { reply: { t: "auth", sig: base64Url(sig) }, peer: null };
+  }
+
+  async _receiveAuth(obj) {
+    if (!obj || obj.t !== "auth" || typeof obj.sig !== "string") throw new Error("invalid auth fields");
+    const hs = this._hs;
+    const remote = this._remote;
+    let ok = false;
+    try {
+      ok = await hs._crypto.verify(
+        authTranscript(this._nonce, remote.peerId, hs.getLocalId()),
+        fromBase64Url(obj.sig),
+        remote.publicKey,
+        remote.algorithmId
+      );
+    } catch {
+      ok = false;
+    }
+    if (!ok) throw new Error("hello signature verification failed");
+    return { reply: null, peer: remote };
+  }
+}
@@ -0,0 +1,414 @@
+import crypto from "node:crypto";
+
+const DEFAULT_FAULTS = {
+  latencyMs: 0,
+  jitterMs: 0,
+  dropRate: 0,
+  duplicateRate: 0,
+  reorderRate: 0,
+  reorderDelayMs: 20,
+};
+
+/**
+ * mulberry32: a tiny 32-bit PRNG. Not for cryptography, only to make fault decisions reproducible from a seed.
+ */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normalizeFaults(options, base) {
+  const out = { ...base };
+  for (const key of Object.keys(DEFAULT_FAULTS)) {
+    if (options[key] === undefined) continue;
+    const value = Number(options[key]);
+    const isRate = key.endsWith("Rate");
+    if (!Number.isFinite(value) || value < 0 || (isRate && value > 1)) {
+      throw new Error(`LoopbackNetwork invalid ${key}: ${options[key]}`);
+    }
+    out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * One side of a connection. Messages are handed to `onMessage` one at a time, in delivery order
+ * (the next waits for the promise the previous returned); `onClose(reason)` fires once the other side
+ * closed or the network reset the connection. With real timers, `onError(err)` gets what those handlers
+ * throw (with a manual clock it is thrown from advance()/runUntilIdle() instead).
+ */
+class LoopbackEnd {
+  constructor(network, localId, remoteId) {
+    this._network = network;
+    this.localId = localId;
+    this.remoteId = remoteId;
+    this.peer = null; // the other LoopbackEnd
+    this.closed = false;
+    this.onMessage = null;
+    this.onClose = null;
+    this.onError = null;
+    this._lastAt = 0; // delivery time of the last in-order message sent from this side
+    this._chain = Promise.resolve();
+  }
+
+  /**
+   * @param {object} message - handed to the other side as is
+   * @param {{ reliable?: boolean }} [options] - reliable messages aren't dropped, duplicated or reordered
+   *   (they are still delayed and lost across a partition)
+   */
+  send(message, options = {}) {
+    if (this.closed) return;
+    this._network._transmit(this, message, !!options.reliable);
+  }
+
+  /**
+   * Close this side; the other side's onClose gets `reason` after the usual latency, behind what was sent.
+   * @param {string} [reason]
+   */
+  close(reason = "closed") {
+    if (this.closed) return;
+    this.closed = true;
+    this._network._closeEnd(this, reason);
+  }
+
+  _receive(message) {
+    const handled = this._chain.then(() => (this.closed ? undefined : this.onMessage?.(message)));
+    this._chain = handled.catch(() => {}); // a failed handler doesn't hold up later messages
+    return handled;
+  }
+}
+
+/**
+ * LoopbackNetwork
+ *
+ * An in-process network for LoopbackTransport: transports listen on `loop://` addresses and dial each
+ * other without opening ports. Messages are delivered asynchronously through a single schedule, subject to
+ * faults that apply to data frames:
+ * - `latencyMs` plus a uniform random `jitterMs` per message; frames on one connection keep their order
+ * - `dropRate`, `duplicateRate`: probability that a frame is lost / delivered twice
+ * - `reorderRate`: probability that a frame is held back up to `reorderDelayMs` more and overtaken
+ * configure() changes the defaults, setLinkFaults(fromId, toId, faults) overrides them for one direction
+ * between two peers. partition([...], [...]) cuts peers in different groups off from each other: new
+ * dials fail and frames in flight or sent across are lost until heal() (connections stay open, and a close
+ * still gets through). sever(a, b) resets the connections between two peers (both report "disconnection"
+ * with reason "reset").
+ *
+ * Every random decision comes from one PRNG seeded with `seed` (random unless given, readable as
+ * network.seed), drawn in the order frames are sent, so a failing run can be repeated with its seed.
+ * With `manualClock: true` time only moves in advance(ms)/runUntilIdle(), which also makes the
+ * interleaving of deliveries exact; otherwise the schedule runs on real timers.
+ */
+export default class LoopbackNetwork {
+  /**
+   * @param {{ seed?: number, manualClock?: boolean, latencyMs?: number, jitterMs?: number, dropRate?: number,
+   *   duplicateRate?: number, reorderRate?: number, reorderDelayMs?: number }} [options]
+   */
+  constructor(options = {}) {
+    this.seed = (options.seed ?? crypto.randomBytes(4).readUInt32BE(0)) >>> 0;
+    this._random = seededRandom(this.seed);
+    this._faults = normalizeFaults(options, DEFAULT_FAULTS);
+    /** @type {Map<string, object>} */
+    this._linkFaults = new Map(); // "fromId\ntoId" -> faults for that direction
+    /** @type {Map<string, number>|null} */
+    this._partition = null; // peerId -> group index
+    this._manual = !!options.manualClock;
+    this._virtualNow = 0;
+    this._pending = []; // { at, seq, run } sorted by at, then seq
+    this._seq = 0;
+    this._timer = null;
+    /** @type {Map<string, { id: string, accept: (end: LoopbackEnd) => void }>} */
+    this._listeners = new Map(); // loop:// address -> endpoint
+    /** @type {Set<LoopbackEnd>} */
+    this._ends = new Set(); // both sides of every connection (closed ones are pruned lazily)
+    this._stats = { sent: 0, delivered: 0, dropped: 0, duplicated: 0, reordered: 0, partitioned: 0 };
+  }
+
+  /**
+   * Current time: virtual milliseconds with a manual clock, Date.now() otherwise.
+   */
+  now() {
+    return this._manual ? this._virtualNow : Date.now();
+  }
+
+  /**
+   * Next number from the network's seeded PRNG in [0, 1), for tests that want their own choices replayable too.
+   */
+  random() {
+    return this._random();
+  }
+
+  /**
+   * @param {{ latencyMs?: number, jitterMs?: number, dropRate?: number, duplicateRate?: number,
+   *   reorderRate?: number, reorderDelayMs?: number }} faults - changes the defaults for every link
+   */
+  configure(faults) {
+    this._faults = normalizeFaults(faults ?? {}, this._faults);
+  }
+
+  /**
+   * @param {string} fromId
+   * @param {string} toId
+   * @param {object|null} faults - overrides for frames from `fromId` to `toId`; null goes back to the defaults
+   */
+  setLinkFaults(fromId, toId, faults) {
+    const key = `${fromId}\n${toId}`;
+    if (faults == null) this._linkFaults.delete(key);
+    else this._linkFaults.set(key, normalizeFaults(faults, {}));
+  }
+
+  /**
+   * Split peers into groups that can't reach each other; peers not listed can reach everyone.
+   * Replaces any previous partition.
+   * @param {...string[]} groups
+   */
+  partition(...groups) {
+    this._partition = new Map();
+    groups.forEach((group, i) => {
+      for (const peerId of group) this._partition.set(String(peerId), i);
+    });
+  }
+
+  heal() {
+    this._partition = null;
+  }
+
+  /**
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   */
+  isReachable(a, b) {
+    if (!this._partition) return true;
+    const ga = this._partition.get(a);
+    const gb = this._partition.get(b);
+    return ga === undefined || gb === undefined || ga === gb;
+  }
+
+  /**
+   * Reset every connection between two peers: both sides are told right away, frames in flight are lost.
+   * @param {string} a
+   * @param {string} b
+   */
+  sever(a, b) {
+    for (const end of this._openEnds()) {
+      if ((end.localId === a && end.remoteId === b) || (end.localId === b && end.remoteId === a)) {
+        end.closed = true;
+        this._schedule(this.now(), () => end.onClose?.("reset"), end);
+      }
+    }
+  }
+
+  /**
+   * @returns {{ sent: number, delivered: number, dropped: number, duplicated: number, reordered: number,
+   *   partitioned: number, pending: number }}
+   */
+  stats() {
+    return { ...this._stats, pending: this._pending.length };
+  }
+
+  /**
+   * Manual clock: move time forward by `ms`, delivering everything due on the way (including what those
+   * deliveries send in turn).
+   * @param {number} ms
+   */
+  async advance(ms) {
+    if (!this._manual) throw new Error("LoopbackNetwork.advance requires manualClock");
+    const target = this._virtualNow + Math.max(0, ms);
+    while (this._pending.length && this._pending[0].at <= target) await this._runNext();
+    this._virtualNow = target;
+  }
+
+  /**
+   * Manual clock: deliver until nothing is scheduled.
+   * @param {{ maxSteps?: number }} [options] - guards against protocols that never go quiet
+   */
+  async runUntilIdle(options = {}) {
+    if (!this._manual) throw new Error("LoopbackNetwork.runUntilIdle requires manualClock");
+    const maxSteps = options.maxSteps ?? 100000;
+    for (let steps = 0; this._pending.length; steps++) {
+      if (steps >= maxSteps) throw new Error(`LoopbackNetwork still busy after ${maxSteps} deliveries`);
+      await this._runNext();
+    }
+  }
+
+  // Used by LoopbackTransport.
+
+  listen(address, endpoint) {
+    if (this._listeners.has(address)) throw new Error(`address in use: ${address}`);
+    this._listeners.set(address, endpoint);
+  }
+
+  unlisten(address, endpoint) {
+    if (this._listeners.get(address) === endpoint) this._listeners.delete(address);
+  }
+
+  /**
+   * Run `fn` after `delayMs` on the network's clock (virtual with a manual clock).
+   * @param {number} delayMs
+   * @param {() => void} fn
+   * @returns {() => void} cancels it
+   */
+  timer(delayMs, fn) {
+    const item = this._schedule(this.now() + Math.max(0, delayMs), fn);
+    return () => this._unschedule(item);
+  }
+
+  /**
+   * @param {string} address
+   * @returns {string|null} id of the peer listening there
+   */
+  lookup(address) {
+    return this._listeners.get(address)?.id ?? null;
+  }
+
+  /**
+   * Open a connection from `fromId` to whoever listens at `address`. The listener's accept() runs right away;
+   * only messages take time.
+   * @param {string} fromId
+   * @param {string} address
+   * @returns {LoopbackEnd} the dialing side
+   */
+  dial(fromId, address) {
+    const endpoint = this._listeners.get(address);
+    if (!endpoint) throw new Error(`no listener at ${address}`);
+    if (!this.isReachable(fromId, endpoint.id)) throw new Error(`${address} is unreachable`);
+    const local = new LoopbackEnd(this, fromId, endpoint.id);
+    const remote = new LoopbackEnd(this, endpoint.id, fromId);
+    local.peer = remote;
+    remote.peer = local;
+    this._ends.add(local);
+    this._ends.add(remote);
+    endpoint.accept(remote);
+    return local;
+  }
+
+  _openEnds() {
+    const open = [];
+    for (const end of this._ends) {
+      if (end.closed) this._ends.delete(end);
+      else open.push(end);
+    }
+    return open;
+  }
+
+  _faultsFor(fromId, toId) {
+    const link = this._linkFaults.get(`${fromId}\n${toId}`);
+    return link ? { ...this._faults, ...link } : this._faults;
+  }
+
+  _transmit(from, message, reliable) {
+    const to = from.peer;
+    this._stats.sent += 1;
+    if (!this.isReachable(from.localId, from.remoteId)) {
+      this._stats.partitioned += 1;
+      return;
+    }
+    const faults = this._faultsFor(from.localId, from.remoteId);
+    if (!reliable && faults.dropRate > 0 && this._random() < faults.dropRate) {
+      this._stats.dropped += 1;
+      return;
+    }
+    let copies = 1;
+    if (!reliable && faults.duplicateRate > 0 && this._random() < faults.duplicateRate) {
+      this._stats.duplicated += 1;
+      copies = 2;
+    }
+    for (let i = 0; i < copies; i++) {
+      let at = this.now() + faults.latencyMs + (faults.jitterMs > 0 ? Math.round(this._random() * faults.jitterMs) : 0);
+      if (!reliable && faults.reorderRate > 0 && this._random() < faults.reorderRate) {
+        this._stats.reordered += 1;
+        at += Math.round(this._random() * faults.reorderDelayMs); // not held to the connection's order
+      } else {
+        at = Math.max(at, from._lastAt);
+        from._lastAt = at;
+      }
+      this._schedule(at, () => {
+        if (to.closed) return undefined;
+        if (!this.isReachable(from.localId, from.remoteId)) {
+          this._stats.partitioned += 1;
+          return undefined;
+        }
+        this._stats.delivered += 1;
+        return to._receive(message);
+      }, to);
+    }
+  }
+
+  _closeEnd(from, reason) {
+    // Closes aren't subject to faults or partitions; they arrive after what was sent before them.
+    const to = from.peer;
+    const at = Math.max(this.now() + this._faultsFor(from.localId, from.remoteId).latencyMs, from._lastAt);
+    from._lastAt = at;
+    this._schedule(at, () => {
+      if (to.closed) return undefined;
+      to.closed = true;
+      // Let messages already handed to the other side finish first.
+      return to._chain.then(() => to.onClose?.(reason));
+    }, to);
+  }
+
+  /**
+   * @param {number} at
+   * @param {() => unknown} run
+   * @param {LoopbackEnd|null} [end] - whose onError gets what `run` throws or rejects with (real timers)
+   */
+  _schedule(at, run, end = null) {
+    const item = { at, seq: this._seq++, run, end };
+    // Binary search for the insertion point: after everything due earlier or at the same time.
+    let lo = 0;
+    let hi = this._pending.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (this._pending[mid].at <= at) lo = mid + 1;
+      else hi = mid;
+    }
+    this._pending.splice(lo, 0, item);
+    if (!this._manual && lo === 0) this._arm();
+    return item;
+  }
+
+  _unschedule(item) {
+    const i = this._pending.indexOf(item);
+    if (i === -1) return;
+    this._pending.splice(i, 1);
+    if (!this._manual && i === 0) this._arm();
+  }
+
+  async _runNext() {
+    const item = this._pending.shift();
+    if (this._manual) this._virtualNow = Math.max(this._virtualNow, item.at);
+    await item.run();
+  }
+
+  _reportError(item, err) {
+    if (item.end?.onError) {
+      item.end.onError(err);
+      return;
+    }
+    // A timer callback failed: surface it like a throwing setTimeout callback would.
+    setImmediate(() => {
+      throw err;
+    });
+  }
+
+  _arm() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (!this._pending.length) return;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      const now = Date.now();
+      while (this._pending.length && this._pending[0].at <= now) {
+        const item = this._pending.shift();
+        new Promise((resolve) => resolve(item.run())).catch((err) => this._reportError(item, err));
+      }
+      this._arm();
+    }, Math.max(0, this._pending[0].at - Date.now()));
+  }
+}
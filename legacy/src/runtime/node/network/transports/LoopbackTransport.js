@@ -0,0 +1,282 @@
+import crypto from "node:crypto";
+
+import Transport from "../../../../core/network/interfaces/Transport.js";
+import HelloHandshake from "./HelloHandshake.js";
+import LoopbackNetwork from "./LoopbackNetwork.js";
+
+function base64Url(bytes) {
+  return Buffer.from(bytes)
+    .toString("base64")
+    .replaceAll("+", "-")
+    .replaceAll("/", "_")
+    .replaceAll("=", "");
+}
+
+function randomId(prefix = "loop") {
+  return `${prefix}:${base64Url(crypto.randomBytes(12))}`;
+}
+
+/**
+ * LoopbackTransport
+ *
+ * In-process transport for tests: the same init/start/stop/send/connect contract and
+ * connection/frame/disconnection events as TcpTransport, carried over a shared LoopbackNetwork instead of
+ * sockets, so upper layers can be exercised under latency, loss, duplication, reordering and partitions
+ * (see LoopbackNetwork) without opening ports.
+ *
+ * - `network` (required): the LoopbackNetwork shared by every transport in the test
+ * - start() listens on `address` (default "loop://<localId>"; `listen: false` dials only);
+ *   connect()/send() take a peerId or a loop:// address
+ * - the hello is exchanged as with TCP (HelloHandshake, so `crypto` + `identity` authenticate peers) and is
+ *   delayed and partitioned like everything else, but never dropped, duplicated or reordered; faults only
+ *   hit data frames, which are delivered as "frame" { from, bytes }. A connection whose hello hasn't
+ *   completed within `helloTimeoutMs` (default 10s of network time, 0 disables; e.g. it was lost to a
+ *   partition) is closed and its connect() rejects
+ * - with real timers, errors thrown by "frame"/"connection"/"disconnection" listeners are reported as
+ *   "error"; a manual clock throws them from advance()/runUntilIdle()
+ * - one connection per pair of peers: dialing a peer that already has a connection to us (in either
+ *   direction, even one still in hello) reuses it. A new connection from a peer we are still connected to
+ *   (it restarted) replaces the old one, reported as "disconnection" with reason "replaced"
+ * - "disconnection" { peerId, reason }: "closed" (disconnect() on either side, or the remote stopped),
+ *   "reset" (LoopbackNetwork.sever()), "error" (the remote failed the hello), "timeout" (the remote gave
+ *   up on the hello), "replaced"
+ *
+ * With a manual-clock network nothing arrives until the test advances it, so start connect() first and
+ * await it after network.runUntilIdle().
+ */
+export default class LoopbackTransport extends Transport {
+  constructor() {
+    super();
+    this._localId = null;
+    /** @type {HelloHandshake|null} */
+    this._handshake = null;
+    /** @type {LoopbackNetwork|null} */
+    this._network = null;
+    this._address = null;
+    this._listen = true;
+    this._helloTimeoutMs = 10000;
+    this._endpoint = null;
+    this._started = false;
+
+    /** @type {Map<string, object>} */
+    this._peers = new Map(); // peerId -> connection
+    /** @type {Set<object>} */
+    this._conns = new Set(); // every open connection, including ones still in hello
+  }
+
+  async init(options = {}) {
+    if (!(options.network instanceof LoopbackNetwork)) {
+      throw new Error("LoopbackTransport requires options.network (a LoopbackNetwork)");
+    }
+    this._network = options.network;
+    this._handshake = new HelloHandshake({
+      localId: options.localId ?? (options.identity ? null : randomId()),
+      crypto: options.crypto ?? null,
+      identity: options.identity ?? null,
+    });
+    await this._handshake.init();
+    this._localId = this._handshake.getLocalId();
+    this._address = options.address ?? `loop://${this._localId}`;
+    if (!String(this._address).startsWith("loop://")) throw new Error("LoopbackTransport address must be a loop:// address");
+    this._listen = options.listen ?? true;
+    this._helloTimeoutMs = options.helloTimeoutMs ?? 10000;
+    this._started = false;
+  }
+
+  getLocalId() {
+    return this._localId;
+  }
+
+  getListenAddresses() {
+    return this._endpoint ? [this._address] : [];
+  }
+
+  async start() {
+    if (this._started) return;
+    if (this._listen) {
+      const endpoint = { id: this._localId, accept: (end) => this._handleConnection(end, { outbound: false }) };
+      try {
+        this._network.listen(this._address, endpoint);
+      } catch (err) {
+        throw new Error(`LoopbackTransport ${err.message}`);
+      }
+      this._endpoint = endpoint;
+    }
+    this._started = true;
+  }
+
+  async stop() {
+    if (!this._started) return;
+    this._started = false;
+
+    if (this._endpoint) this._network.unlisten(this._address, this._endpoint);
+    this._endpoint = null;
+    for (const conn of this._conns) {
+      conn.cancelHelloTimer?.();
+      conn.end.close("closed");
+      conn.rejectReady(new Error("LoopbackTransport stopped"));
+    }
+    this._conns.clear();
+    this._peers.clear();
+  }
+
+  async send(to, bytes, options = {}) {
+    if (!(bytes instanceof Uint8Array)) throw new Error("LoopbackTransport.send requires Uint8Array bytes");
+    if (!this._started) throw new Error("LoopbackTransport not started");
+
+    const peerId = this._peers.has(String(to)) ? String(to) : await this.connect(to, options);
+    const conn = this._peers.get(peerId);
+    if (!conn) throw new Error("LoopbackTransport connection closed");
+    // Copied, so the caller may reuse its buffer while the frame is in flight.
+    conn.end.send({ type: "data", bytes: new Uint8Array(bytes) });
+  }
+
+  /**
+   * Resolve `to` to a connected peerId, dialing it first if it is an address.
+   * @param {string} to - peerId or loop:// address
+   * @param {{ expectedPeerId?: string }} [options]
+   * @returns {Promise<string>} remote peerId
+   */
+  async connect(to, options = {}) {
+    if (!this._started) throw new Error("LoopbackTransport not started");
+    const key = String(to);
+    if (this._peers.has(key)) return key;
+    if (!key.startsWith("loop://")) {
+      throw new Error("LoopbackTransport.send unknown target (expected peerId or loop:// address)");
+    }
+
+    const remoteId = this._network.lookup(key);
+    if (remoteId === this._localId) throw new Error("LoopbackTransport cannot connect to itself");
+    let conn = null;
+    for (const c of this._conns) {
+      if (remoteId !== null && c.end.remoteId === remoteId) {
+        conn = c;
+        break;
+      }
+    }
+    if (!conn) {
+      let end;
+      try {
+        end = this._network.dial(this._localId, key);
+      } catch (err) {
+        throw new Error(`LoopbackTransport ${err.message}`);
+      }
+      conn = this._handleConnection(end, { outbound: true, address: key });
+    }
+    const peerId = await conn.ready;
+    if (options.expectedPeerId && peerId !== options.expectedPeerId) {
+      throw new Error("LoopbackTransport peerId mismatch");
+    }
+    return peerId;
+  }
+
+  /**
+   * Close the connection to a peer. Both sides report "disconnection" with reason "closed".
+   * @param {string} peerId
+   * @returns {Promise<boolean>} false if the peer wasn't connected
+   */
+  async disconnect(peerId) {
+    const conn = this._peers.get(String(peerId));
+    if (!conn) return false;
+    conn.end.close("closed");
+    this._connectionLost(conn, "closed");
+    return true;
+  }
+
+  _handleConnection(end, { outbound, address = null }) {
+    const conn = {
+      end,
+      outbound,
+      address,
+      peerId: null,
+      early: [],
+      ready: null,
+      resolveReady: null,
+      rejectReady: null,
+      cancelHelloTimer: null,
+    };
+    conn.ready = new Promise((resolve, reject) => {
+      conn.resolveReady = resolve;
+      conn.rejectReady = reject;
+    });
+    conn.ready.catch(() => {}); // only dialers wait on it
+    this._conns.add(conn);
+
+    const session = this._handshake.createSession();
+    end.onMessage = (message) => this._onMessage(conn, session, message);
+    end.onClose = (reason) => this._connectionLost(conn, reason);
+    end.onError = (err) => this.emit("error", err);
+    if (this._helloTimeoutMs > 0) {
+      conn.cancelHelloTimer = this._network.timer(this._helloTimeoutMs, () => {
+        if (conn.peerId || !this._conns.has(conn)) return;
+        conn.rejectReady(new Error("LoopbackTransport hello timed out"));
+        conn.end.close("timeout");
+        this._connectionLost(conn, "timeout");
+      });
+    }
+    end.send({ type: "hello", body: session.hello() }, { reliable: true });
+    return conn;
+  }
+
+  async _onMessage(conn, session, message) {
+    if (!this._conns.has(conn)) return;
+    if (message.type === "data") {
+      // A reordered frame may overtake the hello.
+      if (!conn.peerId) conn.early.push(message.bytes);
+      else this.emit("frame", { from: conn.peerId, bytes: new Uint8Array(message.bytes) });
+      return;
+    }
+    if (message.type !== "hello" || conn.peerId) return;
+
+    let result;
+    try {
+      result = await session.receive(message.body);
+    } catch (err) {
+      this._fail(conn, new Error(`LoopbackTransport ${err.message}`));
+      return;
+    }
+    if (!this._conns.has(conn)) return;
+    if (result.reply) conn.end.send({ type: "hello", body: result.reply }, { reliable: true });
+    if (result.peer) this._established(conn, result.peer);
+  }
+
+  _established(conn, { peerId, algorithmId, publicKey }) {
+    conn.peerId = peerId;
+    conn.cancelHelloTimer?.();
+    const previous = this._peers.get(peerId);
+    if (previous) {
+      // The remote restarted or redialed before we learned the old connection was gone.
+      this._conns.delete(previous);
+      previous.end.close("replaced");
+      this.emit("disconnection", { peerId, reason: "replaced" });
+    }
+    this._peers.set(peerId, conn);
+
+    const info = { peerId, outbound: conn.outbound, secure: false, address: conn.address };
+    if (publicKey) Object.assign(info, { authenticated: true, algorithmId, publicKey });
+    this.emit("connection", info);
+    conn.resolveReady(peerId);
+    const early = conn.early;
+    conn.early = [];
+    for (const bytes of early) {
+      if (this._peers.get(peerId) !== conn) break;
+      this.emit("frame", { from: peerId, bytes: new Uint8Array(bytes) });
+    }
+  }
+
+  _fail(conn, err) {
+    this.emit("error", err);
+    conn.end.close("error");
+    this._connectionLost(conn, "error");
+  }
+
+  _connectionLost(conn, reason) {
+    if (!this._conns.delete(conn)) return;
+    conn.cancelHelloTimer?.();
+    conn.rejectReady(new Error("LoopbackTransport connection closed"));
+    if (conn.peerId && this._peers.get(conn.peerId) === conn) {
+      this._peers.delete(conn.peerId);
+      this.emit("disconnection", { peerId: conn.peerId, reason });
+    }
+  }
+}
@@ -0,0 +1,229 @@
+const NAMESPACE = "rez-relay-mailbox";
+// Width of the zero-padded base36 fields in message ids, so ids sort in the order they were stored.
+const TIME_DIGITS = 9; // base36 milliseconds, good until the year 5188
+const SEQ_DIGITS = 6;
+
+/**
+ * Keys are "<hex(recipient)>/<id>": hex keeps LIKE wildcards and path separators out of the prefix
+ * (SQLiteStorageProvider matches prefixes with LIKE, FileStorageProvider uses keys as filenames).
+ */
+function recipientPrefix(recipient) {
+  return `${Buffer.from(String(recipient), "utf8").toString("hex")}/`;
+}
+
+function storedAtOf(id) {
+  return parseInt(id.slice(0, TIME_DIGITS), 36);
+}
+
+function recipientOf(key) {
+  const slash = key.indexOf("/");
+  return slash === -1 ? null : Buffer.from(key.slice(0, slash), "hex").toString("utf8");
+}
+
+/**
+ * Add `count` messages of `bytes` (negative to remove) to a per-peer tally, dropping peers that reach zero.
+ */
+function tally(map, peerId, count, bytes) {
+  const usage = map.get(peerId) ?? { count: 0, bytes: 0 };
+  usage.count = Math.max(0, usage.count + count);
+  usage.bytes = Math.max(0, usage.bytes + bytes);
+  if (usage.count > 0) map.set(peerId, usage);
+  else map.delete(peerId);
+}
+
+/**
+ * OfflineMailbox
+ *
+ * Store-and-forward for WebSocketTransport in relay mode: frames for a peerId that isn't connected are
+ * saved through a StorageProvider (FileStorageProvider, SQLiteStorageProvider, ...) and handed out again,
+ * oldest first, once that peer is back. A message stays stored until the recipient acknowledges it, so
+ * delivery is at-least-once: a recipient that drops before acknowledging gets it again next time.
+ *
+ * - `maxMessagesPerRecipient` / `maxBytesPerRecipient` cap what one recipient can have waiting,
+ *   `maxMessagesPerSender` / `maxBytesPerSender` what one sender can have stored (for anyone), and
+ *   `maxTotalMessages` / `maxTotalBytes` the whole mailbox, so a client addressing made-up peerIds can't
+ *   fill the disk; put() reports "full" beyond any of them. Usage is counted from the storage on first use
+ *   and kept only for peers that have something stored
+ * - messages older than `ttlMs` are never handed out and are deleted by sweep() (the transport runs it
+ *   every `sweepIntervalMs`); a message's age is part of its id, so expiry needs no reads
+ *
+ * The storage must be initialized by the caller and outlive the transport.
+ */
+export default class OfflineMailbox {
+  /**
+   * @param {object} storage - StorageProvider
+   * @param {{ ttlMs?: number, maxMessagesPerRecipient?: number, maxBytesPerRecipient?: number,
+   *   maxMessagesPerSender?: number, maxBytesPerSender?: number, maxTotalMessages?: number,
+   *   maxTotalBytes?: number }} [options]
+   */
+  constructor(storage, options = {}) {
+    if (!storage || typeof storage.put !== "function" || typeof storage.list !== "function") {
+      throw new Error("OfflineMailbox requires a StorageProvider");
+    }
+    this._storage = storage;
+    this._ttlMs = options.ttlMs ?? 7 * 24 * 60 * 60 * 1000; // 7 days
+    this._maxMessages = options.maxMessagesPerRecipient ?? 1000;
+    this._maxBytes = options.maxBytesPerRecipient ?? 16 * 1024 * 1024; // 16MB
+    this._maxSenderMessages = options.maxMessagesPerSender ?? 1000;
+    this._maxSenderBytes = options.maxBytesPerSender ?? 16 * 1024 * 1024; // 16MB
+    this._maxTotalMessages = options.maxTotalMessages ?? 100000;
+    this._maxTotalBytes = options.maxTotalBytes ?? 256 * 1024 * 1024; // 256MB
+
+    this._lastTime = 0;
+    this._seq = 0;
+    /** @type {Promise<{ count: number, bytes: number, recipients: Map, senders: Map }>|null} */
+    this._usage = null; // what is stored, in total and per peer (loaded on first use)
+    /** @type {Map<string, Promise<boolean>>} */
+    this._removing = new Map(); // key -> removal in flight
+  }
+
+  /**
+   * Store a frame for an offline recipient.
+   * @param {string} recipient
+   * @param {string} from - sender peerId
+   * @param {Uint8Array} bytes
+   * @returns {Promise<"stored"|"full">}
+   */
+  async put(recipient, from, bytes) {
+    const usage = await this._loadUsage();
+    const forRecipient = usage.recipients.get(recipient) ?? { count: 0, bytes: 0 };
+    const bySender = usage.senders.get(from) ?? { count: 0, bytes: 0 };
+    const n = bytes.length;
+    if (
+      forRecipient.count + 1 > this._maxMessages ||
+      forRecipient.bytes + n > this._maxBytes ||
+      bySender.count + 1 > this._maxSenderMessages ||
+      bySender.bytes + n > this._maxSenderBytes ||
+      usage.count + 1 > this._maxTotalMessages ||
+      usage.bytes + n > this._maxTotalBytes
+    ) {
+      return "full";
+    }
+    this._count(usage, recipient, from, 1, n);
+    const id = this._nextId();
+    try {
+      await this._storage.put(NAMESPACE, recipientPrefix(recipient) + id, {
+        from,
+        payload: Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString("base64"),
+        bytes: bytes.length,
+      });
+    } catch (err) {
+      this._count(usage, recipient, from, -1, -n);
+      throw err;
+    }
+    return "stored";
+  }
+
+  /**
+   * Unexpired messages for `recipient` stored after `afterId`, oldest first.
+   * @param {string} recipient
+   * @param {{ afterId?: string|null }} [options]
+   * @returns {Promise<{ id: string, from: string, bytes: Uint8Array, storedAt: number }[]>}
+   */
+  async list(recipient, options = {}) {
+    const prefix = recipientPrefix(recipient);
+    const afterKey = options.afterId ? prefix + options.afterId : null;
+    const cutoff = Date.now() - this._ttlMs;
+    // One page covers everything a recipient may have waiting. Storage cursors aren't used: acks delete
+    // keys while a recipient is being served, and a deleted cursor restarts FileStorageProvider's listing.
+    const { keys } = await this._storage.list(NAMESPACE, { prefix, limit: this._maxMessages + 1 });
+    const out = [];
+    for (const key of keys.sort()) {
+      if (!key.startsWith(prefix) || (afterKey && key <= afterKey)) continue;
+      const id = key.slice(prefix.length);
+      const storedAt = storedAtOf(id);
+      if (storedAt < cutoff) continue;
+      const entry = await this._storage.get(NAMESPACE, key);
+      if (!entry) continue; // acknowledged meanwhile
+      out.push({ id, from: entry.from, bytes: new Uint8Array(Buffer.from(entry.payload, "base64")), storedAt });
+    }
+    return out;
+  }
+
+  /**
+   * Delete a message its recipient has received.
+   * @param {string} recipient
+   * @param {string} id
+   * @returns {Promise<boolean>} false if there was no such message
+   */
+  async ack(recipient, id) {
+    return await this._remove(recipientPrefix(recipient) + String(id), recipient);
+  }
+
+  /**
+   * Delete every expired message.
+   * @returns {Promise<number>} messages deleted
+   */
+  async sweep() {
+    const cutoff = Date.now() - this._ttlMs;
+    let removed = 0;
+    let cursor = null;
+    do {
+      const page = await this._storage.list(NAMESPACE, { cursor, limit: 1000 });
+      for (const key of page.keys) {
+        const recipient = recipientOf(key);
+        if (recipient === null || storedAtOf(key.slice(key.indexOf("/") + 1)) >= cutoff) continue;
+        if (await this._remove(key, recipient)) removed += 1;
+      }
+      cursor = page.cursor;
+    } while (cursor);
+    return removed;
+  }
+
+  _remove(key, recipient) {
+    // A second ack, or an ack racing sweep(), waits for the removal in flight instead of counting it off again.
+    const inFlight = this._removing.get(key);
+    if (inFlight) return inFlight.then(() => false);
+    const removal = (async () => {
+      const usage = await this._loadUsage();
+      const entry = await this._storage.get(NAMESPACE, key);
+      if (!entry) return false;
+      await this._storage.delete(NAMESPACE, key);
+      this._count(usage, recipient, entry.from, -1, -(entry.bytes ?? 0));
+      return true;
+    })().finally(() => this._removing.delete(key));
+    this._removing.set(key, removal);
+    return removal;
+  }
+
+  _count(usage, recipient, from, count, bytes) {
+    usage.count = Math.max(0, usage.count + count);
+    usage.bytes = Math.max(0, usage.bytes + bytes);
+    tally(usage.recipients, recipient, count, bytes);
+    tally(usage.senders, from, count, bytes);
+  }
+
+  _loadUsage() {
+    if (!this._usage) {
+      this._usage = (async () => {
+        const usage = { count: 0, bytes: 0, recipients: new Map(), senders: new Map() };
+        let cursor = null;
+        do {
+          const page = await this._storage.list(NAMESPACE, { cursor, limit: 1000 });
+          for (const key of page.keys) {
+            const recipient = recipientOf(key);
+            const entry = recipient === null ? null : await this._storage.get(NAMESPACE, key);
+            if (entry) this._count(usage, recipient, entry.from, 1, entry.bytes ?? 0);
+          }
+          cursor = page.cursor;
+        } while (cursor);
+        return usage;
+      })();
+      this._usage.catch(() => {
+        this._usage = null;
+      });
+    }
+    return this._usage;
+  }
+
+  _nextId() {
+    const now = Date.now();
+    if (now > this._lastTime) {
+      this._lastTime = now;
+      this._seq = 0;
+    } else {
+      this._seq += 1; // same millisecond, or the clock went back: keep ids increasing
+    }
+    return `${this._lastTime.toString(36).padStart(TIME_DIGITS, "0")}-${this._seq.toString(36).padStart(SEQ_DIGITS, "0")}`;
+  }
+}
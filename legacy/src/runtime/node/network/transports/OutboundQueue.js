@@ -0,0 +1,119 @@
+/**
+ * OutboundQueue
+ *
+ * Backpressure-aware writer for one socket, shared by TcpTransport and WebSocketTransport.
+ *
+ * - write() puts a frame on the socket right away while the socket's buffered bytes
+ *   (writableLength) are under `highWaterMark`, otherwise it queues the frame and resolves
+ *   once the frame has been handed to the socket
+ * - the queue is capped at `maxQueuedBytes`; beyond that the `overflow` policy applies:
+ *   "error" rejects the write, "drop" discards the frame and resolves false. The first write into
+ *   an empty queue counts too: a message larger than the cap is only sent if it can go to the
+ *   socket right away (a single frame while the socket is under `highWaterMark`)
+ * - frames are always written whole and in order, so callers may interleave their own
+ *   small control frames between them; the frames of one write() (e.g. the fragments of a
+ *   message) are admitted or refused together and nothing else is queued between them
+ */
+export default class OutboundQueue {
+  /**
+   * @param {import("node:net").Socket} socket
+   * @param {{ highWaterMark?: number, maxQueuedBytes?: number, overflow?: "error"|"drop" }} [options]
+   */
+  constructor(socket, options = {}) {
+    this._socket = socket;
+    this._highWaterMark = options.highWaterMark ?? 1024 * 1024; // 1MB
+    this._maxQueuedBytes = options.maxQueuedBytes ?? 16 * 1024 * 1024; // 16MB
+    this._overflow = options.overflow ?? "error";
+    if (this._overflow !== "error" && this._overflow !== "drop") {
+      throw new Error(`Unsupported queue overflow policy: ${this._overflow}`);
+    }
+
+    this._items = []; // { frame, resolve, reject }
+    this._queuedBytes = 0;
+    this._closed = false;
+    this._ending = false;
+    // Every write re-checks the queue once its bytes leave the socket buffer. Unlike "drain" this
+    // also fires when highWaterMark is below the socket's own writableHighWaterMark.
+    this._onFlushed = () => {
+      if (this._items.length) this._pump();
+    };
+  }
+
+  /**
+   * @param {Uint8Array|Uint8Array[]} frames - Complete encoded frame, or frames that belong together
+   * @returns {Promise<boolean>} true once all are accepted by the socket, false if dropped by the overflow policy
+   */
+  write(frames) {
+    if (this._socket.destroyed) this.close();
+    if (this._closed || this._ending) return Promise.reject(new Error("connection closed"));
+    const list = Array.isArray(frames) ? frames : [frames];
+    if (list.length === 1 && !this._items.length && this._socket.writableLength < this._highWaterMark) {
+      this._socket.write(list[0], this._onFlushed);
+      return Promise.resolve(true);
+    }
+    const total = list.reduce((n, f) => n + f.length, 0);
+    if (this._queuedBytes + total > this._maxQueuedBytes) {
+      if (this._overflow === "drop") return Promise.resolve(false);
+      return Promise.reject(new Error("send queue full"));
+    }
+    return new Promise((resolve, reject) => {
+      // Only the last frame settles the write; earlier ones just carry the rejection path.
+      list.forEach((frame, i) => {
+        const last = i === list.length - 1;
+        this._items.push({ frame, resolve: last ? resolve : null, reject: last ? reject : null });
+      });
+      this._queuedBytes += total;
+      this._pump();
+    });
+  }
+
+  /**
+   * @returns {{ queuedFrames: number, queuedBytes: number, bufferedBytes: number }}
+   */
+  stats() {
+    return {
+      queuedFrames: this._items.length,
+      queuedBytes: this._queuedBytes,
+      bufferedBytes: this._socket.writableLength ?? 0,
+    };
+  }
+
+  /**
+   * Stop accepting writes, flush what is queued, then end the socket.
+   */
+  end() {
+    if (this._closed || this._ending) return;
+    this._ending = true;
+    this._pump();
+  }
+
+  /**
+   * Reject everything still queued; later writes reject too.
+   * @param {Error} [err]
+   */
+  close(err = new Error("connection closed")) {
+    if (this._closed) return;
+    this._closed = true;
+    const items = this._items;
+    this._items = [];
+    this._queuedBytes = 0;
+    for (const item of items) item.reject?.(err);
+  }
+
+  _pump() {
+    if (this._socket.destroyed) {
+      this.close();
+      return;
+    }
+    while (this._items.length && !this._closed && this._socket.writableLength < this._highWaterMark) {
+      const item = this._items.shift();
+      this._queuedBytes -= item.frame.length;
+      this._socket.write(item.frame, this._onFlushed);
+      item.resolve?.(true);
+    }
+    if (this._ending && !this._items.length && !this._closed) {
+      this._closed = true;
+      this._socket.end();
+    }
+  }
+}
@@ -0,0 +1,335 @@
+import zlib from "node:zlib";
+
+const EXTENSION = "permessage-deflate";
+// Every Z_SYNC_FLUSH ends with an empty stored block; RFC 7692 strips it on the wire.
+const TRAILER = Buffer.from([0x00, 0x00, 0xff, 0xff]);
+// zlib refuses raw deflate with an 8-bit window, so offers that require it are declined.
+const MIN_WINDOW_BITS = 9;
+const MAX_WINDOW_BITS = 15;
+
+// Close status for a compressed message that does not inflate (RFC 6455: invalid payload data).
+const CLOSE_INVALID_PAYLOAD = 1007;
+const CLOSE_TOO_BIG = 1009;
+
+function closeError(message, closeCode) {
+  const err = new Error(message);
+  err.closeCode = closeCode;
+  return err;
+}
+
+/**
+ * Parse a Sec-WebSocket-Extensions header into offers.
+ * @param {string} header
+ * @returns {{ name: string, params: Map<string, string|true> }[]} duplicate params make params null
+ */
+function parseExtensions(header) {
+  const out = [];
+  for (const item of String(header ?? "").split(",")) {
+    const [name, ...rest] = item.split(";").map((s) => s.trim());
+    if (!name) continue;
+    let params = new Map();
+    for (const p of rest) {
+      if (!p) continue;
+      const i = p.indexOf("=");
+      const key = (i === -1 ? p : p.slice(0, i)).trim().toLowerCase();
+      const value = i === -1 ? true : p.slice(i + 1).trim().replace(/^"(.*)"$/, "$1");
+      if (params?.has(key)) params = null;
+      params?.set(key, value);
+    }
+    out.push({ name: name.toLowerCase(), params });
+  }
+  return out;
+}
+
+function windowBits(value) {
+  if (!/^\d+$/.test(String(value))) return null;
+  const n = Number(value);
+  return n >= 8 && n <= MAX_WINDOW_BITS ? n : null;
+}
+
+function checkWindowBits(bits, name) {
+  if (bits == null) return;
+  if (!Number.isInteger(bits) || bits < MIN_WINDOW_BITS || bits > MAX_WINDOW_BITS) {
+    throw new Error(`PerMessageDeflate ${name} must be an integer from ${MIN_WINDOW_BITS} to ${MAX_WINDOW_BITS}`);
+  }
+}
+
+/**
+ * PerMessageDeflate
+ *
+ * The permessage-deflate extension (RFC 7692) for WebSocketTransport: negotiation helpers plus the
+ * per-connection compressor/decompressor.
+ *
+ * Options (same shape on both sides; `true` means all defaults):
+ * - serverNoContextTakeover / clientNoContextTakeover: reset that side's compression context after
+ *   every message (less memory per connection, worse ratio); either side may ask for either
+ * - serverMaxWindowBits / clientMaxWindowBits (9-15): LZ77 window of that side's compressor
+ * - threshold: messages shorter than this many bytes are sent uncompressed (default 1024)
+ * - level: zlib compression level (default zlib's)
+ *
+ * Inflated messages are capped at `maxMessageBytes` (from the transport); a message that inflates
+ * beyond it fails the connection with 1009 as soon as the limit is crossed, so a small "zip bomb"
+ * frame cannot make the receiver buffer an arbitrary amount.
+ * Compression and decompression each run in message order on their own chain.
+ */
+export default class PerMessageDeflate {
+  /**
+   * Validate the transport's perMessageDeflate option.
+   * @param {boolean|object|null|undefined} option
+   * @returns {object|null} normalized options, or null when disabled
+   */
+  static normalizeOptions(option) {
+    if (!option) return null;
+    const o = option === true ? {} : option;
+    checkWindowBits(o.serverMaxWindowBits, "serverMaxWindowBits");
+    checkWindowBits(o.clientMaxWindowBits, "clientMaxWindowBits");
+    return {
+      serverNoContextTakeover: !!o.serverNoContextTakeover,
+      clientNoContextTakeover: !!o.clientNoContextTakeover,
+      serverMaxWindowBits: o.serverMaxWindowBits ?? null,
+      clientMaxWindowBits: o.clientMaxWindowBits ?? null,
+      threshold: o.threshold ?? 1024,
+      level: o.level ?? zlib.constants.Z_DEFAULT_COMPRESSION,
+    };
+  }
+
+  /**
+   * Client: the Sec-WebSocket-Extensions value to offer.
+   * @param {object} options - normalizeOptions() result
+   * @returns {string}
+   */
+  static offer(options) {
+    const parts = [EXTENSION];
+    if (options.serverNoContextTakeover) parts.push("server_no_context_takeover");
+    if (options.clientNoContextTakeover) parts.push("client_no_context_takeover");
+    if (options.serverMaxWindowBits != null) parts.push(`server_max_window_bits=${options.serverMaxWindowBits}`);
+    // Always let the server pick our window; it may only answer with client_max_window_bits if offered.
+    parts.push(
+      options.clientMaxWindowBits != null ? `client_max_window_bits=${options.clientMaxWindowBits}` : "client_max_window_bits"
+    );
+    return parts.join("; ");
+  }
+
+  /**
+   * Server: pick the first acceptable offer from the client's header.
+   * @param {string|undefined} header - Sec-WebSocket-Extensions request header
+   * @param {object} options - normalizeOptions() result
+   * @returns {{ params: object, response: string }|null} null to run without compression
+   */
+  static accept(header, options) {
+    for (const { name, params } of parseExtensions(header)) {
+      if (name !== EXTENSION || !params) continue;
+      const agreed = PerMessageDeflate._agree(params, options);
+      if (!agreed) continue;
+
+      const parts = [EXTENSION];
+      if (agreed.serverNoContextTakeover) parts.push("server_no_context_takeover");
+      if (agreed.clientNoContextTakeover) parts.push("client_no_context_takeover");
+      if (agreed.serverMaxWindowBits < MAX_WINDOW_BITS || params.has("server_max_window_bits")) {
+        parts.push(`server_max_window_bits=${agreed.serverMaxWindowBits}`);
+      }
+      if (params.has("client_max_window_bits") && agreed.clientMaxWindowBits < MAX_WINDOW_BITS) {
+        parts.push(`client_max_window_bits=${agreed.clientMaxWindowBits}`);
+      }
+      return { params: agreed, response: parts.join("; ") };
+    }
+    return null;
+  }
+
+  static _agree(params, options) {
+    for (const key of params.keys()) {
+      if (
+        key !== "server_no_context_takeover" &&
+        key !== "client_no_context_takeover" &&
+        key !== "server_max_window_bits" &&
+        key !== "client_max_window_bits"
+      ) {
+        return null;
+      }
+    }
+    if (params.has("server_no_context_takeover") && params.get("server_no_context_takeover") !== true) return null;
+    if (params.has("client_no_context_takeover") && params.get("client_no_context_takeover") !== true) return null;
+
+    let serverBits = MAX_WINDOW_BITS;
+    if (params.has("server_max_window_bits")) {
+      serverBits = windowBits(params.get("server_max_window_bits"));
+      if (serverBits == null || serverBits < MIN_WINDOW_BITS) return null;
+    }
+    serverBits = Math.min(serverBits, options.serverMaxWindowBits ?? MAX_WINDOW_BITS);
+
+    let clientBits = MAX_WINDOW_BITS;
+    if (params.has("client_max_window_bits")) {
+      const v = params.get("client_max_window_bits");
+      if (v !== true) {
+        clientBits = windowBits(v);
+        if (clientBits == null) return null;
+      }
+    } else if (options.clientMaxWindowBits != null) {
+      return null; // can't ask a client for a smaller window it didn't offer to negotiate
+    }
+    clientBits = Math.min(clientBits, options.clientMaxWindowBits ?? MAX_WINDOW_BITS);
+    if (clientBits < MIN_WINDOW_BITS) return null;
+
+    return {
+      serverNoContextTakeover: params.has("server_no_context_takeover") || options.serverNoContextTakeover,
+      clientNoContextTakeover: params.has("client_no_context_takeover") || options.clientNoContextTakeover,
+      serverMaxWindowBits: serverBits,
+      clientMaxWindowBits: clientBits,
+    };
+  }
+
+  /**
+   * Client: check the server's answer to offer().
+   * @param {string|undefined} header - Sec-WebSocket-Extensions response header
+   * @param {object|null} options - normalizeOptions() result, null if nothing was offered
+   * @returns {object|null} agreed params, or null if the server declined
+   * @throws if the server answered with anything the offer did not allow
+   */
+  static fromResponse(header, options) {
+    const exts = parseExtensions(header);
+    if (!exts.length) return null;
+    const [ext] = exts;
+    if (!options || exts.length > 1 || ext.name !== EXTENSION || !ext.params) {
+      throw new Error("unexpected Sec-WebSocket-Extensions in response");
+    }
+    const { params } = ext;
+    const agreed = PerMessageDeflate._agree(params, { serverMaxWindowBits: null, clientMaxWindowBits: null });
+    if (!agreed) throw new Error("invalid permessage-deflate response");
+    if (options.serverMaxWindowBits != null && agreed.serverMaxWindowBits > options.serverMaxWindowBits) {
+      throw new Error("invalid permessage-deflate response");
+    }
+    if (options.serverNoContextTakeover && !agreed.serverNoContextTakeover) {
+      throw new Error("invalid permessage-deflate response");
+    }
+    if (!params.has("client_max_window_bits")) agreed.clientMaxWindowBits = options.clientMaxWindowBits ?? MAX_WINDOW_BITS;
+    else if (params.get("client_max_window_bits") === true) throw new Error("invalid permessage-deflate response");
+    return agreed;
+  }
+
+  /**
+   * @param {object} params - agreed params (accept() / fromResponse())
+   * @param {{ isServer: boolean, threshold?: number, level?: number, maxMessageBytes: number }} options
+   */
+  constructor(params, options) {
+    const own = options.isServer ? "server" : "client";
+    const peer = options.isServer ? "client" : "server";
+    this._sendWindowBits = params[`${own}MaxWindowBits`];
+    this._sendNoContext = params[`${own}NoContextTakeover`];
+    this._recvNoContext = params[`${peer}NoContextTakeover`];
+    this._threshold = options.threshold ?? 1024;
+    this._level = options.level ?? zlib.constants.Z_DEFAULT_COMPRESSION;
+    this._maxMessageBytes = options.maxMessageBytes;
+
+    this._deflater = null;
+    this._inflater = null;
+    this._deflateChain = Promise.resolve();
+    this._inflateChain = Promise.resolve();
+    this._closed = false;
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   * @returns {boolean}
+   */
+  shouldCompress(bytes) {
+    return bytes.length > 0 && bytes.length >= this._threshold;
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   * @returns {Promise<Buffer>} compressed message payload (frames carry RSV1)
+   */
+  compress(bytes) {
+    const p = this._deflateChain.then(() => this._compress(bytes));
+    this._deflateChain = p.catch(() => {});
+    return p;
+  }
+
+  /**
+   * @param {Uint8Array} payload - reassembled payload of a message sent with RSV1
+   * @returns {Promise<Buffer>}
+   * @throws errors carrying closeCode 1009 (too big) or 1007 (corrupt)
+   */
+  decompress(payload) {
+    const p = this._inflateChain.then(() => this._decompress(payload));
+    this._inflateChain = p.catch(() => {});
+    return p;
+  }
+
+  close() {
+    this._closed = true;
+    this._deflater?.close();
+    this._inflater?.close();
+    this._deflater = null;
+    this._inflater = null;
+  }
+
+  _compress(bytes) {
+    if (this._closed) return Promise.reject(new Error("connection closed"));
+    this._deflater ??= zlib.createDeflateRaw({ windowBits: this._sendWindowBits, level: this._level });
+    const deflater = this._deflater;
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const onData = (chunk) => chunks.push(chunk);
+      const onError = (err) => {
+        deflater.off("data", onData);
+        this._deflater = null;
+        reject(err);
+      };
+      deflater.on("data", onData);
+      deflater.once("error", onError);
+      deflater.write(bytes);
+      deflater.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+        deflater.off("data", onData);
+        deflater.off("error", onError);
+        let out = Buffer.concat(chunks);
+        if (out.length >= 4 && out.subarray(out.length - 4).equals(TRAILER)) out = out.subarray(0, out.length - 4);
+        if (this._sendNoContext) deflater.reset();
+        resolve(out);
+      });
+    });
+  }
+
+  _decompress(payload) {
+    if (this._closed) return Promise.reject(new Error("connection closed"));
+    this._inflater ??= zlib.createInflateRaw({ windowBits: MAX_WINDOW_BITS });
+    const inflater = this._inflater;
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let total = 0;
+      let settled = false;
+      const finish = (err, value) => {
+        if (settled) return;
+        settled = true;
+        inflater.off("data", onData);
+        inflater.off("error", onError);
+        if (err) {
+          // The stream state is unusable after an error or an aborted message.
+          inflater.close();
+          if (this._inflater === inflater) this._inflater = null;
+          reject(err);
+        } else {
+          resolve(value);
+        }
+      };
+      const onData = (chunk) => {
+        total += chunk.length;
+        if (total > this._maxMessageBytes) {
+          finish(closeError("WS message too large", CLOSE_TOO_BIG));
+          return;
+        }
+        chunks.push(chunk);
+      };
+      const onError = () => finish(closeError("WS invalid compressed data", CLOSE_INVALID_PAYLOAD));
+      inflater.on("data", onData);
+      inflater.once("error", onError);
+      inflater.write(payload);
+      inflater.write(TRAILER);
+      inflater.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+        if (settled) return;
+        if (this._recvNoContext) inflater.reset();
+        finish(null, Buffer.concat(chunks));
+      });
+    });
+  }
+}
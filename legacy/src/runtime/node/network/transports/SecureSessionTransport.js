@@ -0,0 +1,472 @@
+import Transport from "../../../../core/network/interfaces/Transport.js";
+import HelloHandshake from "./HelloHandshake.js";
+
+const FRAME_KX = 0x01;
+const FRAME_DATA = 0x02;
+// type(1) + epoch(4) + counter(8) + iv(12) + authTag(16)
+const DATA_HEADER_BYTES = 1 + 4 + 8;
+const DATA_OVERHEAD_BYTES = DATA_HEADER_BYTES + 12 + 16;
+
+const KEY_INFO = "rez-secure/1 key ";
+const REKEY_INFO = "rez-secure/1 rekey";
+const KX_SIGN_CONTEXT = "rez-secure-kx/1";
+
+function base64Url(bytes) {
+  return Buffer.from(bytes)
+    .toString("base64")
+    .replaceAll("+", "-")
+    .replaceAll("/", "_")
+    .replaceAll("=", "");
+}
+
+function fromBase64Url(s) {
+  return new Uint8Array(Buffer.from(String(s), "base64url"));
+}
+
+function kxTranscript(epk, signerPeerId, verifierPeerId, re = null) {
+  return Buffer.concat([
+    Buffer.from(`${KX_SIGN_CONTEXT}\n`, "utf8"),
+    Buffer.from(epk),
+    Buffer.from(`\n${signerPeerId}\n${verifierPeerId}${re ? `\n${re}` : ""}`, "utf8"),
+  ]);
+}
+
+/**
+ * SecureSessionTransport
+ *
+ * Transport decorator that runs an encrypted, Noise-style session over any inner Transport
+ * (TcpTransport, WebSocketTransport, ...), so relays and the network path only see ciphertext.
+ * All primitives go through the CryptoProvider (X25519, HKDF-SHA256, AES-256-GCM).
+ *
+ * Per connection:
+ * - both sides send a key-exchange frame { t:"kx", epk } carrying a fresh X25519 key and answer the remote's
+ *   with { t:"kx", epk, re } (`re`: the remote key answered); keys are only derived from a frame whose `re` is
+ *   our current key, so a replayed key exchange never gets that far. With `identity` every frame is signed
+ *   and bound to both peerIds and `re` (see HelloHandshake for peerId derivation)
+ * - shared = X25519(own ephemeral, remote ephemeral); each direction gets its own key:
+ *     key = HKDF(shared, 32, salt = sha256(epkLow | epkHigh), info = "rez-secure/1 key " + base64url(sender epk))
+ * - data frame: [0x02][epoch u32][counter u64][iv 12][authTag 16][ciphertext], the 13-byte header is the AAD
+ * - counters are per direction and must strictly increase, so replayed or reordered frames are rejected
+ * - after `rekeyAfterMessages` frames or `rekeyIntervalMs` the sender moves to epoch+1 with
+ *     nextKey = HKDF(key, 32, salt = none, info = "rez-secure/1 rekey")
+ *   and the receiver follows when it sees the new epoch; old keys are discarded.
+ *
+ * Inner "reconnecting"/"reconnected" events are forwarded; the session is re-keyed on reconnect.
+ * Keys are derived once per session. A key exchange from a peer we already share keys with (it started over
+ * without us seeing its connection end, e.g. behind a relay) is answered but leaves the session alone until
+ * the peer answers back; only then is the session replaced, reported as "disconnection" with reason
+ * "restarted" followed by a new "connection". Data frames that arrive before the key exchange completes
+ * are dropped with an "error".
+ * A key exchange that doesn't finish within `handshakeTimeoutMs` is retried with a fresh key; one that fails
+ * verification closes the inner connection (disconnect(peerId), on inner transports that have it), so no
+ * peer is left connected without a session.
+ *
+ * Without an identity the exchange is unauthenticated and only defeats passive observers;
+ * configure `identity` (and an authenticated inner hello) to rule out a man in the middle.
+ */
+export default class SecureSessionTransport extends Transport {
+  constructor() {
+    super();
+    /** @type {Transport|null} */
+    this._inner = null;
+    this._crypto = null;
+    this._identity = null;
+    this._requireSignedKx = false;
+    this._rekeyAfterMessages = 0;
+    this._rekeyIntervalMs = 0;
+    this._handshakeTimeoutMs = 0;
+
+    /** @type {Map<string, object>} */
+    this._sessions = new Map(); // peerId -> session state
+    this._innerHandlers = null;
+  }
+
+  /**
+   * @param {{ transport: Transport, crypto: object, identity?: { algorithmId: string, publicKey: Uint8Array, privateKey: Uint8Array }|null,
+   *   requireSignedKeyExchange?: boolean, rekeyAfterMessages?: number, rekeyIntervalMs?: number, handshakeTimeoutMs?: number }} options
+   *   transport must already be initialized; start()/stop() are forwarded to it.
+   */
+  async init(options = {}) {
+    if (!options.transport) throw new Error("SecureSessionTransport requires options.transport");
+    if (!options.crypto) throw new Error("SecureSessionTransport requires options.crypto");
+    this._inner = options.transport;
+    this._crypto = options.crypto;
+    this._identity = options.identity ?? null;
+    this._requireSignedKx = options.requireSignedKeyExchange ?? !!this._identity;
+    this._rekeyAfterMessages = options.rekeyAfterMessages ?? 10000;
+    this._rekeyIntervalMs = options.rekeyIntervalMs ?? 10 * 60 * 1000;
+    this._handshakeTimeoutMs = options.handshakeTimeoutMs ?? 10000;
+
+    if (this._identity) {
+      const derived = await HelloHandshake.derivePeerId(this._crypto, this._identity.algorithmId, this._identity.publicKey);
+      if (derived !== this._inner.getLocalId()) {
+        throw new Error("SecureSessionTransport identity does not match the inner transport peerId");
+      }
+    }
+
+    this._innerHandlers = {
+      connection: (info) => this._onInnerConnection(info),
+      frame: ({ from, bytes }) => this._onInnerFrame(from, bytes),
+      disconnection: (info) => this._onInnerDisconnection(info),
+      reconnecting: (info) => this._onInnerReconnecting(info),
+      reconnected: (info) => this.emit("reconnected", info),
+      error: (err) => this.emit("error", err),
+    };
+    for (const [event, fn] of Object.entries(this._innerHandlers)) this._inner.on(event, fn);
+    this._started = false;
+  }
+
+  getLocalId() {
+    return this._inner.getLocalId();
+  }
+
+  getListenAddresses() {
+    return this._inner.getListenAddresses();
+  }
+
+  async start() {
+    if (this._started) return;
+    await this._inner.start();
+    this._started = true;
+  }
+
+  async stop() {
+    this._started = false;
+    for (const session of this._sessions.values()) this._dropSession(session, new Error("SecureSessionTransport stopped"));
+    this._sessions.clear();
+    await this._inner.stop();
+  }
+
+  async send(to, bytes, options = {}) {
+    if (!(bytes instanceof Uint8Array)) throw new Error("SecureSessionTransport.send requires Uint8Array bytes");
+    if (!this._started) throw new Error("SecureSessionTransport not started");
+
+    let peerId = String(to);
+    if (!this._sessions.has(peerId)) {
+      if (typeof this._inner.connect !== "function") throw new Error("SecureSessionTransport unknown peerId");
+      peerId = await this._inner.connect(to, options);
+    }
+    const session = this._sessions.get(peerId);
+    if (!session) throw new Error("SecureSessionTransport unknown peerId");
+    await session.ready;
+
+    // Serialize per peer: counters must hit the wire in the order they were assigned.
+    const op = session.sendChain.then(async () => {
+      if (session.closed) throw new Error("SecureSessionTransport peer disconnected");
+      const frame = await this._seal(session, bytes);
+      // The session may have been dropped while sealing; its keys must not reach a new connection.
+      if (session.closed) throw new Error("SecureSessionTransport peer disconnected");
+      await this._inner.send(peerId, frame);
+    });
+    session.sendChain = op.catch(() => {});
+    await op;
+  }
+
+  _onInnerConnection(info) {
+    const previous = this._sessions.get(info.peerId);
+    if (previous) this._dropSession(previous, new Error("SecureSessionTransport connection replaced"));
+    this._openSession(info);
+  }
+
+  /**
+   * @param {object} info - the inner "connection" info
+   * @param {{ ephemeral: object, remoteEpk: string }|null} [confirmed] - a key exchange the peer already
+   *   confirmed (see _receiveKeyExchange); the session derives its keys from it instead of sending its own
+   */
+  _openSession(info, confirmed = null) {
+    const peerId = info.peerId;
+    const session = {
+      peerId,
+      info,
+      established: false,
+      closed: false,
+      ephemeral: null, // our current key, dropped once the keys are derived
+      answered: null, // base64url remote key we last answered
+      remoteEpk: null, // base64url remote key the keys were derived with
+      tx: null, // { key, epoch, counter, sinceRekey, rekeyedAt }
+      rx: null, // { key, epoch, counter }
+      sendChain: Promise.resolve(),
+      inbound: null,
+      ready: null,
+      resolveReady: null,
+      rejectReady: null,
+      timer: null,
+    };
+    session.ready = new Promise((resolve, reject) => {
+      session.resolveReady = resolve;
+      session.rejectReady = reject;
+    });
+    // Callers awaiting ready get the rejection; keep it from surfacing as unhandled otherwise.
+    session.ready.catch(() => {});
+    session.timer = setTimeout(() => {
+      if (session.established || session.closed) return;
+      // The remote may not have been ready for it, or lost it: try again with a fresh key.
+      this.emit("error", new Error("SecureSessionTransport key exchange timed out"));
+      this._restartSession(session);
+    }, this._handshakeTimeoutMs);
+    session.timer.unref?.();
+
+    this._sessions.set(peerId, session);
+    session.inbound = (async () => {
+      if (confirmed) {
+        session.ephemeral = confirmed.ephemeral;
+        await this._deriveKeys(session, confirmed.remoteEpk);
+        return;
+      }
+      session.ephemeral = await this._crypto.generateX25519KeyPair();
+      await this._sendKeyExchange(session, null);
+    })().catch((err) => this._failSession(session, err));
+  }
+
+  _restartSession(session, confirmed = null) {
+    this._sessions.delete(session.peerId);
+    this._dropSession(session, new Error("SecureSessionTransport session restarted"));
+    if (session.established) {
+      this.emit("disconnection", { peerId: session.peerId, outbound: session.info.outbound, reason: "restarted" });
+    }
+    this._openSession(session.info, confirmed);
+  }
+
+  _onInnerDisconnection(info) {
+    const session = this._sessions.get(info.peerId);
+    if (!session) return;
+    this._sessions.delete(info.peerId);
+    this._dropSession(session, new Error("SecureSessionTransport peer disconnected"));
+    if (session.established) this.emit("disconnection", info);
+  }
+
+  _onInnerReconnecting(info) {
+    // The old keys die with the old connection; a fresh key exchange runs on "connection".
+    const session = this._sessions.get(info.peerId);
+    if (session) {
+      this._sessions.delete(info.peerId);
+      this._dropSession(session, new Error("SecureSessionTransport peer reconnecting"));
+    }
+    this.emit("reconnecting", info);
+  }
+
+  _onInnerFrame(from, bytes) {
+    const session = this._sessions.get(from);
+    if (!session) {
+      this.emit("error", new Error("SecureSessionTransport frame from unknown peer"));
+      return;
+    }
+    // Decryption is async; chain per peer so frames are processed in arrival order.
+    session.inbound = session.inbound
+      .then(() => (session.closed ? null : this._handleFrame(session, bytes)))
+      .catch((err) => {
+        // A bad frame is dropped; a key exchange that fails verification ends the session.
+        if (session.established || bytes[0] !== FRAME_KX) this.emit("error", err);
+        else this._failSession(session, err);
+      });
+  }
+
+  async _handleFrame(session, bytes) {
+    if (bytes.length < 1) throw new Error("SecureSessionTransport empty frame");
+    if (bytes[0] === FRAME_KX) {
+      await this._receiveKeyExchange(session, bytes);
+      return;
+    }
+    if (bytes[0] !== FRAME_DATA) throw new Error("SecureSessionTransport unknown frame type");
+    if (!session.established) {
+      this.emit("error", new Error("SecureSessionTransport data before key exchange"));
+      return;
+    }
+
+    const plaintext = await this._open(session, bytes);
+    if (plaintext && !session.closed) this.emit("frame", { from: session.peerId, bytes: plaintext });
+  }
+
+  async _sendKeyExchange(session, re) {
+    const msg = { t: "kx", epk: base64Url(session.ephemeral.publicKey) };
+    if (re) msg.re = re;
+    if (this._identity) {
+      const sig = await this._crypto.sign(
+        kxTranscript(session.ephemeral.publicKey, this.getLocalId(), session.peerId, re),
+        this._identity.privateKey,
+        this._identity.algorithmId
+      );
+      Object.assign(msg, {
+        alg: this._identity.algorithmId,
+        publicKey: base64Url(this._identity.publicKey),
+        sig: base64Url(sig),
+      });
+    }
+    const json = new TextEncoder().encode(JSON.stringify(msg));
+    const frame = new Uint8Array(1 + json.length);
+    frame[0] = FRAME_KX;
+    frame.set(json, 1);
+    await this._inner.send(session.peerId, frame);
+  }
+
+  async _receiveKeyExchange(session, bytes) {
+    let msg;
+    try {
+      msg = JSON.parse(new TextDecoder().decode(bytes.subarray(1)));
+    } catch {
+      throw new Error("SecureSessionTransport invalid key exchange");
+    }
+    if (!msg || msg.t !== "kx" || typeof msg.epk !== "string" || (msg.re != null && typeof msg.re !== "string")) {
+      throw new Error("SecureSessionTransport invalid key exchange");
+    }
+    const remoteEpk = fromBase64Url(msg.epk);
+
+    if (typeof msg.sig === "string") {
+      await this._verifyKeyExchange(session, msg, remoteEpk);
+    } else if (this._requireSignedKx) {
+      throw new Error("SecureSessionTransport key exchange is not signed");
+    }
+    if (session.closed || msg.epk === session.remoteEpk) return;
+
+    if (msg.re == null) {
+      // Nothing in it is fresh, it may be a replay: answer it, bound to a key of ours, and wait for the peer
+      // to answer that. An established session keeps running meanwhile.
+      if (msg.epk === session.answered) return;
+      if (!session.ephemeral) {
+        session.ephemeral = await this._crypto.generateX25519KeyPair();
+        if (session.closed) return;
+        // Don't keep a key around for an answer that never comes.
+        clearTimeout(session.timer);
+        session.timer = setTimeout(() => {
+          session.ephemeral = null;
+          session.answered = null;
+        }, this._handshakeTimeoutMs);
+        session.timer.unref?.();
+      }
+      session.answered = msg.epk;
+      await this._sendKeyExchange(session, msg.epk);
+      return;
+    }
+    // Only an answer to our current key proves the remote key fresh; others are stale or replayed.
+    if (!session.ephemeral || msg.re !== base64Url(session.ephemeral.publicKey)) return;
+    if (msg.epk !== session.answered) {
+      // The remote went first with this key; confirm it so the remote derives the same keys.
+      session.answered = msg.epk;
+      await this._sendKeyExchange(session, msg.epk);
+      if (session.closed) return;
+    }
+    if (session.established) {
+      this._restartSession(session, { ephemeral: session.ephemeral, remoteEpk: msg.epk });
+      return;
+    }
+    await this._deriveKeys(session, msg.epk);
+  }
+
+  async _deriveKeys(session, remoteEpkText) {
+    const remoteEpk = fromBase64Url(remoteEpkText);
+    const localEpk = session.ephemeral.publicKey;
+    const shared = await this._crypto.x25519(session.ephemeral.privateKey, remoteEpk);
+    const [low, high] = Buffer.compare(Buffer.from(localEpk), Buffer.from(remoteEpk)) <= 0 ? [localEpk, remoteEpk] : [remoteEpk, localEpk];
+    const salt = await this._crypto.sha256(Buffer.concat([Buffer.from(low), Buffer.from(high)]));
+    const txKey = await this._crypto.hkdf(shared, 32, salt, KEY_INFO + base64Url(localEpk));
+    const rxKey = await this._crypto.hkdf(shared, 32, salt, KEY_INFO + base64Url(remoteEpk));
+    if (session.closed) return;
+
+    session.remoteEpk = remoteEpkText;
+    session.ephemeral = null;
+    session.answered = null;
+    session.tx = { key: txKey, epoch: 0, counter: 0, sinceRekey: 0, rekeyedAt: Date.now() };
+    session.rx = { key: rxKey, epoch: 0, counter: 0 };
+    session.established = true;
+    clearTimeout(session.timer);
+    session.resolveReady();
+    this.emit("connection", { ...session.info, encrypted: true });
+  }
+
+  async _verifyKeyExchange(session, msg, remoteEpk) {
+    if (typeof msg.alg !== "string" || typeof msg.publicKey !== "string") {
+      throw new Error("SecureSessionTransport invalid key exchange signature fields");
+    }
+    const publicKey = fromBase64Url(msg.publicKey);
+    const derived = await HelloHandshake.derivePeerId(this._crypto, msg.alg, publicKey);
+    if (derived !== session.peerId) throw new Error("SecureSessionTransport key exchange identity mismatch");
+    let ok = false;
+    try {
+      ok = await this._crypto.verify(
+        kxTranscript(remoteEpk, session.peerId, this.getLocalId(), msg.re ?? null),
+        fromBase64Url(msg.sig),
+        publicKey,
+        msg.alg
+      );
+    } catch {
+      ok = false;
+    }
+    if (!ok) throw new Error("SecureSessionTransport key exchange signature verification failed");
+  }
+
+  async _seal(session, bytes) {
+    const tx = session.tx;
+    if (
+      tx.sinceRekey >= this._rekeyAfterMessages ||
+      (this._rekeyIntervalMs > 0 && Date.now() - tx.rekeyedAt >= this._rekeyIntervalMs)
+    ) {
+      tx.key = await this._crypto.hkdf(tx.key, 32, null, REKEY_INFO);
+      tx.epoch += 1;
+      tx.sinceRekey = 0;
+      tx.rekeyedAt = Date.now();
+    }
+    tx.counter += 1;
+    tx.sinceRekey += 1;
+
+    const header = Buffer.allocUnsafe(DATA_HEADER_BYTES);
+    header[0] = FRAME_DATA;
+    header.writeUInt32BE(tx.epoch, 1);
+    header.writeBigUInt64BE(BigInt(tx.counter), 5);
+    const { ciphertext, iv, authTag } = await this._crypto.aesGcmEncrypt(bytes, tx.key, header);
+    return new Uint8Array(Buffer.concat([header, iv, authTag, ciphertext]));
+  }
+
+  async _open(session, bytes) {
+    if (bytes.length < DATA_OVERHEAD_BYTES) throw new Error("SecureSessionTransport truncated frame");
+    const buf = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const header = buf.subarray(0, DATA_HEADER_BYTES);
+    const epoch = header.readUInt32BE(1);
+    const counter = Number(header.readBigUInt64BE(5));
+    const iv = buf.subarray(DATA_HEADER_BYTES, DATA_HEADER_BYTES + 12);
+    const authTag = buf.subarray(DATA_HEADER_BYTES + 12, DATA_OVERHEAD_BYTES);
+    const ciphertext = buf.subarray(DATA_OVERHEAD_BYTES);
+
+    const rx = session.rx;
+    if (counter <= rx.counter) throw new Error("SecureSessionTransport replayed frame rejected");
+    let key = rx.key;
+    if (epoch === rx.epoch + 1) {
+      key = await this._crypto.hkdf(rx.key, 32, null, REKEY_INFO);
+    } else if (epoch !== rx.epoch) {
+      throw new Error("SecureSessionTransport unexpected key epoch");
+    }
+
+    let plaintext;
+    try {
+      plaintext = await this._crypto.aesGcmDecrypt(ciphertext, key, iv, authTag, header);
+    } catch {
+      throw new Error("SecureSessionTransport frame authentication failed");
+    }
+    // Only advance state for frames that authenticated.
+    rx.key = key;
+    rx.epoch = epoch;
+    rx.counter = counter;
+    return plaintext;
+  }
+
+  _failSession(session, err) {
+    this.emit("error", err);
+    const current = this._sessions.get(session.peerId) === session;
+    if (current) this._sessions.delete(session.peerId);
+    this._dropSession(session, err);
+    // Without a session every frame from the peer would be refused; close the inner connection instead,
+    // so both sides run a fresh key exchange once it is re-established.
+    if (current && typeof this._inner.disconnect === "function") {
+      Promise.resolve(this._inner.disconnect(session.peerId)).catch(() => {});
+    }
+  }
+
+  _dropSession(session, err) {
+    if (session.closed) return;
+    session.closed = true;
+    clearTimeout(session.timer);
+    session.tx = null;
+    session.rx = null;
+    session.ephemeral = null;
+    if (!session.established) session.rejectReady(err);
+  }
+}
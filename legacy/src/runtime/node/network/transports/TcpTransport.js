@@ -1,7 +1,12 @@
 import net from "node:net";
+import tls from "node:tls";
 import crypto from "node:crypto";
+import fs from "node:fs/promises";
 
 import Transport from "../../../../core/network/interfaces/Transport.js";
+import HelloHandshake from "./HelloHandshake.js";
+import OutboundQueue from "./OutboundQueue.js";
+import ConnectionLimiter from "./ConnectionLimiter.js";
 
 function base64Url(bytes) {
   return Buffer.from(bytes)
@@ -18,27 +23,70 @@ function randomId(prefix = "tcp") {
 function parseTcpTarget(to) {
   if (!to) return null;
   const s = String(to);
-  if (s.startsWith("tcp://")) {
+  if (s.startsWith("unix://")) {
+    const path = s.slice("unix://".length);
+    if (!path.startsWith("/")) throw new Error("Invalid unix:// target (expected unix:///absolute/path)");
+    return { path, secure: false, key: `unix://${path}` };
+  }
+  if (s.startsWith("tcp://") || s.startsWith("tls://")) {
     const u = new URL(s);
+    const scheme = u.protocol.slice(0, -1);
     const host = u.hostname;
     const port = Number(u.port || 0);
-    if (!host || !Number.isFinite(port) || port <= 0) throw new Error("Invalid tcp:// target");
-    return { host, port, key: `tcp://${host}:${port}` };
+    if (!host || !Number.isFinite(port) || port <= 0) throw new Error(`Invalid ${scheme}:// target`);
+    return { host, port, secure: scheme === "tls", key: `${scheme}://${host}:${port}` };
   }
   // host:port
   if (/^[^:]+:\d+$/.test(s)) {
     const [host, portStr] = s.split(":");
     const port = Number(portStr);
     if (!host || !Number.isFinite(port) || port <= 0) throw new Error("Invalid host:port target");
-    return { host, port, key: `tcp://${host}:${port}` };
+    return { host, port, secure: false, key: `tcp://${host}:${port}` };
   }
   return null;
 }
 
-function encodeFrame(payloadBytes) {
+/**
+ * Clear the way for listening on a unix socket path: a leftover socket file nobody accepts on
+ * (e.g. after a crash) is removed; a live socket or any other kind of file is left alone.
+ */
+async function removeStaleSocket(path) {
+  let st;
+  try {
+    st = await fs.lstat(path);
+  } catch (err) {
+    if (err.code === "ENOENT") return;
+    throw err;
+  }
+  if (!st.isSocket()) throw new Error(`TcpTransport listenPath exists and is not a socket: ${path}`);
+  const live = await new Promise((resolve) => {
+    const probe = net.connect({ path }, () => {
+      probe.destroy();
+      resolve(true);
+    });
+    probe.on("error", () => resolve(false));
+  });
+  if (live) throw new Error(`TcpTransport listenPath is in use: ${path}`);
+  await fs.unlink(path);
+}
+
+function normalizeFingerprint(fp) {
+  return String(fp).replaceAll(":", "").toUpperCase();
+}
+
+// High bit of the length prefix marks a control frame (JSON ping/pong), never emitted as "frame".
+const CONTROL_FLAG = 0x80000000;
+// Next bit marks a data fragment with more fragments of the same message to follow.
+const MORE_FLAG = 0x40000000;
+const LENGTH_MASK = 0x3fffffff;
+const MAX_CONTROL_BYTES = 1024;
+// How long a connection that lost a duplicate tie-break may take to drain before it is destroyed.
+const RETIRE_TIMEOUT_MS = 10000;
+
+function encodeFrame(payloadBytes, flags = 0) {
   const len = payloadBytes.length >>> 0;
   const buf = Buffer.allocUnsafe(4 + len);
-  buf.writeUInt32BE(len, 0);
+  buf.writeUInt32BE((len | flags) >>> 0, 0);
   Buffer.from(payloadBytes).copy(buf, 4);
   return buf;
 }
@@ -46,7 +94,8 @@ function encodeFrame(payloadBytes) {
 /**
  * TcpTransport
  *
- * Node-only transport for server-to-server comms using node:net.
+ * Node-only transport for server-to-server comms using node:net: TCP, TLS (`tls://`) and unix domain
+ * sockets (`unix://`), with optional reconnects, heartbeats and connection limits (see init()).
  *
  * Wire format:
  * - 4-byte big-endian length prefix
@@ -57,21 +106,95 @@ export default class TcpTransport extends Transport {
   constructor() {
     super();
     this._localId = null;
+    /** @type {HelloHandshake|null} */
+    this._handshake = null;
     this._listenHost = null;
     this._listenPort = null;
     this._server = null;
+    this._listenPath = null;
+    this._listenPathMode = 0o600;
+    this._unixServer = null;
+    this._tls = null;
+    this._listenTls = false;
+    /** @type {Map<string, string>} */
+    this._pins = new Map(); // peerId -> normalized sha256 fingerprint
 
     /** @type {Map<string, net.Socket>} */
     this._peers = new Map(); // peerId -> socket
-    /** @type {Map<string, Promise<net.Socket>>} */
+    /** @type {Map<net.Socket, object>} */
+    this._conns = new Map(); // every open socket (including ones still in hello) -> connection state
+    this._heartbeatTimer = null;
+    this._reassemblyBytes = 0; // bytes held in partial messages across all connections
+    /** @type {Map<string, Promise<string>>} */
     this._dialing = new Map(); // tcp://host:port -> promise
+    /** @type {Map<string, object>} */
+    this._dialTargets = new Map(); // peerId -> parsed target it was last dialed at
+    /** @type {Map<string, string>} */
+    this._addressPeers = new Map(); // tcp://host:port -> peerId
+    /** @type {Map<string, object>} */
+    this._reconnects = new Map(); // peerId -> reconnect state
+    /** @type {Map<string, { outbound: boolean, reason: string }>} */
+    this._handoffs = new Map(); // peerId -> lost connection waiting for another one still in hello
   }
 
+  /**
+   * @param {object} [options]
+   * - `localId`, or `crypto` + `identity` to authenticate the hello (see HelloHandshake): the local peerId is
+   *   then derived from identity.publicKey and remote peerIds are proven by signature
+   * - `listenHost`/`listenPort` listen for TCP, `listenPath` on a unix socket (see _listenUnix())
+   * - `tls` is passed through to tls.connect for tls:// targets (ca, key/cert for client certificates,
+   *   servername, checkServerIdentity, ...); `listenTls: true` serves TLS with it (key/cert required,
+   *   requestCert for client certs). `pinnedCertificates`: see _checkPeerCertificate()
+   * - `reconnect*` (see _startReconnect()), backpressure and fragmentation (see _writeDataFrame()), liveness
+   *   (see _heartbeat()) and limits (see _handleSocket())
+   */
   async init(options = {}) {
-    this._localId = options.localId ?? randomId();
+    this._handshake = new HelloHandshake({
+      localId: options.localId ?? (options.identity ? null : randomId()),
+      crypto: options.crypto ?? null,
+      identity: options.identity ?? null,
+    });
+    await this._handshake.init();
+    this._localId = this._handshake.getLocalId();
     this._listenHost = options.listenHost ?? null;
     this._listenPort = options.listenPort ?? null;
+    this._listenPath = options.listenPath ?? null;
+    if (this._listenPath != null && !String(this._listenPath).startsWith("/")) {
+      throw new Error("TcpTransport listenPath must be an absolute path");
+    }
+    this._listenPathMode = options.listenPathMode ?? 0o600;
     this._maxFrameBytes = options.maxFrameBytes ?? 1024 * 1024; // 1MB
+    this._fragmentBytes = Math.min(options.fragmentBytes ?? 256 * 1024, this._maxFrameBytes); // 256KB
+    this._maxMessageBytes = options.maxMessageBytes ?? 64 * 1024 * 1024; // 64MB
+    this._maxReassemblyBytes = options.maxReassemblyBytes ?? 128 * 1024 * 1024; // 128MB
+    this._tls = options.tls ?? null;
+    this._listenTls = !!options.listenTls;
+    if (this._listenTls && (!this._tls?.key || !this._tls?.cert)) {
+      throw new Error("TcpTransport listenTls requires options.tls.key and options.tls.cert");
+    }
+    this._pins = new Map(
+      Object.entries(options.pinnedCertificates ?? {}).map(([peerId, fp]) => [peerId, normalizeFingerprint(fp)])
+    );
+    this._reconnect = !!options.reconnect;
+    this._reconnectBaseDelayMs = options.reconnectBaseDelayMs ?? 500;
+    this._reconnectMaxDelayMs = options.reconnectMaxDelayMs ?? 30000;
+    this._reconnectMaxAttempts = options.reconnectMaxAttempts ?? Infinity;
+    this._reconnectQueueMaxBytes = options.reconnectQueueMaxBytes ?? 4 * 1024 * 1024; // 4MB
+    this._queueOptions = {
+      highWaterMark: options.sendHighWaterMark ?? 1024 * 1024, // 1MB
+      maxQueuedBytes: options.maxQueuedBytesPerPeer ?? 16 * 1024 * 1024, // 16MB
+      overflow: options.queueOverflow ?? "error",
+    };
+    this._heartbeatIntervalMs = options.heartbeatIntervalMs ?? 15000;
+    this._heartbeatTimeoutMs = options.heartbeatTimeoutMs ?? this._heartbeatIntervalMs * 3;
+    this._idleTimeoutMs = options.idleTimeoutMs ?? 0;
+    this._helloTimeoutMs = options.helloTimeoutMs ?? 10000;
+    this._limiter = new ConnectionLimiter({
+      maxConnections: options.maxConnections,
+      maxConnectionsPerIp: options.maxConnectionsPerIp,
+      maxFramesPerSecond: options.maxFramesPerSecond,
+      maxBytesPerSecond: options.maxBytesPerSecond,
+    });
     this._started = false;
   }
 
@@ -80,19 +203,40 @@ export default class TcpTransport extends Transport {
   }
 
   getListenAddresses() {
-    if (!this._server) return [];
-    const addr = this._server.address();
-    if (!addr || typeof addr === "string") return [];
-    return [`tcp://${addr.address}:${addr.port}`];
+    const out = [];
+    const addr = this._server?.address();
+    if (addr && typeof addr !== "string") out.push(`${this._listenTls ? "tls" : "tcp"}://${addr.address}:${addr.port}`);
+    if (this._unixServer) out.push(`unix://${this._listenPath}`);
+    return out;
   }
 
   async start() {
     if (this._started) return;
 
+    const onSocket = (socket) => this._handleSocket(socket, { outbound: false });
     if (this._listenPort != null || this._listenHost != null) {
       const host = this._listenHost ?? "127.0.0.1";
       const port = this._listenPort ?? 0;
-      this._server = net.createServer((socket) => this._handleSocket(socket, { outbound: false }));
+      if (this._listenTls) {
+        // Admission happens on the raw socket, before the TLS handshake (itself bounded by the hello deadline).
+        const tlsOptions = this._helloTimeoutMs > 0 ? { handshakeTimeout: this._helloTimeoutMs, ...this._tls } : this._tls;
+        this._server = tls.createServer(tlsOptions, onSocket);
+        this._server.on("connection", (raw) => this._admit(raw));
+      } else {
+        this._server = net.createServer((socket) => {
+          if (this._admit(socket)) onSocket(socket);
+        });
+      }
+      // Failed TLS handshakes never reach _handleSocket; surface them instead of dropping silently.
+      this._server.on("tlsClientError", (err, tlsSocket) => {
+        if (this._limiter.isRefused(tlsSocket)) return; // reset by _admit, already reported
+        if (err.code === "ERR_TLS_HANDSHAKE_TIMEOUT") {
+          const remoteAddress = tlsSocket._parent?.remoteAddress ?? tlsSocket.remoteAddress ?? null;
+          this.emit("limit", { kind: "hello-timeout", remoteAddress, outbound: false });
+          return;
+        }
+        this.emit("error", err);
+      });
       await new Promise((resolve, reject) => {
         this._server.once("error", reject);
         this._server.listen(port, host, () => {
@@ -102,6 +246,21 @@ export default class TcpTransport extends Transport {
       });
     }
 
+    if (this._listenPath != null) {
+      try {
+        await this._listenUnix(onSocket);
+      } catch (err) {
+        await this._closeServers();
+        throw err;
+      }
+    }
+
+    if (this._heartbeatIntervalMs > 0 || this._idleTimeoutMs > 0) {
+      const tick = Math.min(...[this._heartbeatIntervalMs, this._idleTimeoutMs].filter((ms) => ms > 0));
+      this._heartbeatTimer = setInterval(() => this._heartbeat(), tick);
+      this._heartbeatTimer.unref?.();
+    }
+
     this._started = true;
   }
 
@@ -109,23 +268,79 @@ export default class TcpTransport extends Transport {
     if (!this._started) return;
     this._started = false;
 
-    for (const sock of this._peers.values()) {
+    clearInterval(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+    for (const [sock, conn] of this._conns) {
+      conn.queue.close(new Error("TcpTransport stopped"));
       try {
         sock.destroy();
       } catch {
         // ignore
       }
     }
+    this._conns.clear();
     this._peers.clear();
+    this._handoffs.clear();
     this._dialing.clear();
-
-    if (this._server) {
-      const s = this._server;
-      this._server = null;
-      await new Promise((resolve) => s.close(() => resolve()));
+    for (const peerId of [...this._reconnects.keys()]) {
+      this._abandonReconnect(peerId, new Error("TcpTransport stopped"), { emit: false });
     }
+    this._dialTargets.clear();
+    this._addressPeers.clear();
+
+    await this._closeServers();
+  }
+
+  _admit(socket) {
+    const remoteAddress = socket.remoteAddress ?? null;
+    return this._limiter.admitSocket(socket, (info) => this.emit("limit", { ...info, remoteAddress }));
   }
 
+  /**
+   * Listen on `listenPath` as well (same-host IPC without a loopback port; dialed as unix:///abs/path.sock
+   * with the same framing and hello as TCP). The socket file is chmod'ed to `listenPathMode` (default 0o600)
+   * before any connection is accepted, and a stale socket file left by a dead process is removed first (a
+   * live one, or a non-socket file, makes start() fail).
+   */
+  async _listenUnix(onSocket) {
+    const path = this._listenPath;
+    await removeStaleSocket(path);
+    // The socket file is created with the process umask and only narrowed to listenPathMode by the chmod
+    // below; connections that got in before that are refused.
+    let restricted = false;
+    const server = net.createServer((socket) => {
+      if (!restricted) {
+        socket.destroy();
+        return;
+      }
+      if (this._admit(socket)) onSocket(socket);
+    });
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(path, () => {
+        server.off("error", reject);
+        resolve();
+      });
+    });
+    this._unixServer = server;
+    await fs.chmod(path, this._listenPathMode);
+    restricted = true;
+  }
+
+  async _closeServers() {
+    // Closing a unix server also unlinks its socket file.
+    const servers = [this._server, this._unixServer].filter(Boolean);
+    this._server = null;
+    this._unixServer = null;
+    await Promise.all(servers.map((s) => new Promise((resolve) => s.close(() => resolve()))));
+  }
+
+  /**
+   * While `to` is reconnecting the frame is queued (up to `reconnectQueueMaxBytes`) and the queue is flushed
+   * in order before anything else is written.
+   * @param {string} to - peerId or an address connect() takes
+   * @param {Uint8Array} bytes
+   */
   async send(to, bytes, options = {}) {
     void options;
     if (!(bytes instanceof Uint8Array)) throw new Error("TcpTransport.send requires Uint8Array bytes");
@@ -135,44 +350,404 @@ export default class TcpTransport extends Transport {
     const peerId = String(to);
     const existing = this._peers.get(peerId);
     if (existing) {
-      this._writeDataFrame(existing, bytes);
+      await this._writeDataFrame(existing, peerId, bytes);
+      return;
+    }
+    const reconnecting = this._reconnects.get(peerId);
+    if (reconnecting) {
+      if (reconnecting.queuedBytes + bytes.length > this._reconnectQueueMaxBytes) {
+        throw new Error("TcpTransport reconnect queue full");
+      }
+      reconnecting.queue.push(new Uint8Array(bytes));
+      reconnecting.queuedBytes += bytes.length;
       return;
     }
 
     // otherwise treat as address
+    const connectedId = await this.connect(to, options);
+    const sock = this._peers.get(connectedId);
+    if (!sock) throw new Error("TcpTransport connect closed");
+    await this._writeDataFrame(sock, connectedId, bytes);
+  }
+
+  /**
+   * Outbound queue depth for one peer (reconnecting peers report their reconnect queue).
+   * @param {string} peerId
+   * @returns {{ queuedFrames: number, queuedBytes: number, bufferedBytes: number, reconnecting: boolean }|null}
+   */
+  getQueueStats(peerId) {
+    const reconnecting = this._reconnects.get(peerId);
+    if (reconnecting) {
+      return { queuedFrames: reconnecting.queue.length, queuedBytes: reconnecting.queuedBytes, bufferedBytes: 0, reconnecting: true };
+    }
+    const conn = this._conns.get(this._peers.get(peerId));
+    if (!conn) return null;
+    return { ...conn.queue.stats(), reconnecting: false };
+  }
+
+  /**
+   * @returns {Object<string, { queuedFrames: number, queuedBytes: number, bufferedBytes: number, reconnecting: boolean }>}
+   */
+  getAllQueueStats() {
+    const out = {};
+    for (const peerId of [...this._peers.keys(), ...this._reconnects.keys()]) out[peerId] = this.getQueueStats(peerId);
+    return out;
+  }
+
+  /**
+   * Connection and liveness details for one connected peer.
+   * @param {string} peerId
+   * @returns {{ peerId: string, outbound: boolean, secure: boolean, heartbeat: boolean, connectedAt: number,
+   *   lastSeenAt: number, lastActivityAt: number, rttMs: number|null, srttMs: number|null }|null}
+   *   heartbeat: peer answers pings; lastSeenAt: any bytes received; lastActivityAt: last data frame either way;
+   *   srttMs: smoothed RTT (EWMA, 1/8 gain)
+   */
+  getPeerStats(peerId) {
+    const conn = this._conns.get(this._peers.get(peerId));
+    if (!conn) return null;
+    return {
+      peerId,
+      outbound: conn.outbound,
+      secure: !!conn.socket.encrypted,
+      heartbeat: conn.control,
+      connectedAt: conn.connectedAt,
+      lastSeenAt: conn.lastSeenAt,
+      lastActivityAt: conn.lastActivityAt,
+      rttMs: conn.rttMs,
+      srttMs: conn.srttMs,
+    };
+  }
+
+  /**
+   * @returns {Object<string, object>} peerId -> getPeerStats(peerId)
+   */
+  getAllPeerStats() {
+    const out = {};
+    for (const peerId of this._peers.keys()) out[peerId] = this.getPeerStats(peerId);
+    return out;
+  }
+
+  /**
+   * Resolve `to` to a connected peerId, dialing it first if it is an address.
+   * @param {string} to - peerId, tcp://host:port, tls://host:port, unix:///path or host:port
+   * @param {{ expectedPeerId?: string }} [options]
+   * @returns {Promise<string>} remote peerId
+   */
+  async connect(to, options = {}) {
+    if (!this._started) throw new Error("TcpTransport not started");
+    if (this._peers.has(String(to))) return String(to);
+    const reconnecting = this._reconnects.get(String(to));
+    if (reconnecting) return await reconnecting.done;
+
     const target = parseTcpTarget(to);
-    if (!target) throw new Error("TcpTransport.send unknown target (expected peerId or tcp://host:port)");
-    const sock = await this._dial(target.host, target.port, { expectedPeerId: options.expectedPeerId ?? null });
-    this._writeDataFrame(sock, bytes);
+    if (!target) throw new Error("TcpTransport.send unknown target (expected peerId, tcp://, tls:// or unix:// address)");
+    const known = this._addressPeers.get(target.key);
+    if (known && this._peers.has(known) && (!options.expectedPeerId || options.expectedPeerId === known)) return known;
+    return await this._dial(target, { expectedPeerId: options.expectedPeerId ?? null });
   }
 
-  _writeDataFrame(socket, bytes) {
+  /**
+   * Close the connection to a peer without redialing it (a reconnect in progress is abandoned).
+   * "disconnection" is reported with reason "closed".
+   * @param {string} peerId
+   * @returns {Promise<boolean>} false if the peer wasn't connected
+   */
+  async disconnect(peerId) {
+    const id = String(peerId);
+    if (this._reconnects.has(id)) {
+      this._abandonReconnect(id, new Error("TcpTransport disconnected"), { emit: false });
+      this.emit("disconnection", { peerId: id, reason: "closed" });
+      return true;
+    }
+    const conn = this._conns.get(this._peers.get(id));
+    if (!conn) return false;
+    conn.closeReason = "closed";
+    this._forgetAddress(id);
+    conn.socket.destroy();
+    return true;
+  }
+
+  /**
+   * Backpressure (see OutboundQueue): resolves once the frame is accepted under `sendHighWaterMark` buffered
+   * bytes; beyond that frames wait in a per-peer queue capped at `maxQueuedBytesPerPeer`, where
+   * `queueOverflow` "error" rejects the send and "drop" discards the frame and emits "dropped" { peerId, bytes }.
+   * Messages larger than `fragmentBytes` are split for peers whose hello lists caps:["frag"]: every fragment
+   * but the last has bit 30 of its length set, and fragments of one message are never interleaved with other
+   * data.
+   */
+  async _writeDataFrame(socket, peerId, bytes) {
+    const conn = this._conns.get(socket);
+    if (!conn) throw new Error("TcpTransport connection closed");
+    conn.lastActivityAt = Date.now();
+    let frames;
+    if (conn.fragments && bytes.length > this._fragmentBytes) {
+      frames = [];
+      for (let off = 0; off < bytes.length; off += this._fragmentBytes) {
+        const end = Math.min(off + this._fragmentBytes, bytes.length);
+        frames.push(encodeFrame(bytes.subarray(off, end), end < bytes.length ? MORE_FLAG : 0));
+      }
+    } else {
+      frames = encodeFrame(bytes);
+    }
+    let accepted;
     try {
-      socket.write(encodeFrame(bytes));
+      accepted = await conn.queue.write(frames);
     } catch (err) {
-      this.emit("error", err);
+      throw new Error(`TcpTransport ${err.message}`);
     }
+    if (!accepted) this.emit("dropped", { peerId, bytes: bytes.length });
   }
 
-  _writeHello(socket) {
-    const json = JSON.stringify({ t: "hello", peerId: this._localId });
-    socket.write(encodeFrame(new TextEncoder().encode(json)));
+  _writeJson(socket, obj, flags = 0) {
+    if (socket.writableEnded || socket.destroyed) return;
+    socket.write(encodeFrame(new TextEncoder().encode(JSON.stringify(obj)), flags));
+  }
+
+  /**
+   * Liveness: every `heartbeatIntervalMs` each peer is pinged with a control frame (length with the high bit
+   * set, UTF-8 JSON { t:"ping"|"pong", id }), sent only to peers whose hello lists caps:["ctl"]; others fall
+   * back to TCP keepalive. A peer that has sent nothing at all for `heartbeatTimeoutMs` is considered dead
+   * and its socket destroyed ("timeout"); with `idleTimeoutMs` a connection that carried no data frames
+   * either way for that long is closed too ("idle"). RTT per peer is in getPeerStats().
+   */
+  _heartbeat() {
+    const now = Date.now();
+    for (const conn of this._conns.values()) {
+      if (!conn.peerId || this._peers.get(conn.peerId) !== conn.socket) continue;
+      if (this._idleTimeoutMs > 0 && now - conn.lastActivityAt >= this._idleTimeoutMs) {
+        conn.closeReason = "idle";
+        conn.socket.destroy();
+        continue;
+      }
+      if (!conn.control || this._heartbeatIntervalMs <= 0) continue;
+      if (now - conn.lastSeenAt >= this._heartbeatTimeoutMs) {
+        conn.closeReason = "timeout";
+        conn.socket.destroy();
+        continue;
+      }
+      conn.pingId += 1;
+      conn.pingSentAt = now;
+      this._writeJson(conn.socket, { t: "ping", id: conn.pingId }, CONTROL_FLAG);
+    }
   }
 
-  _handleSocket(socket, { outbound }) {
+  _handleControl(conn, payload) {
+    let msg;
+    try {
+      msg = JSON.parse(new TextDecoder().decode(payload));
+    } catch {
+      this.emit("error", new Error("TcpTransport invalid control frame"));
+      return;
+    }
+    if (msg?.t === "ping") {
+      this._writeJson(conn.socket, { t: "pong", id: msg.id }, CONTROL_FLAG);
+      return;
+    }
+    if (msg?.t === "pong" && msg.id === conn.pingId && conn.pingSentAt != null) {
+      const rtt = Date.now() - conn.pingSentAt;
+      conn.pingSentAt = null;
+      conn.rttMs = rtt;
+      conn.srttMs = conn.srttMs == null ? rtt : Math.round((conn.srttMs * 7 + rtt) / 8);
+    }
+    // Unknown control types are ignored so the set can grow without breaking older peers.
+  }
+
+  /**
+   * Run one connection from its hello on. "connection" carries { peerId, outbound, secure }, plus the dialed
+   * `address` on outbound connections. Data that arrives before the remote hello is verified is held up to
+   * `maxMessageBytes`; a peer sending more than that before it is established is dropped.
+   *
+   * Limits: `maxConnections`, `maxConnectionsPerIp`, `maxFramesPerSecond` and `maxBytesPerSecond` are enforced
+   * by a ConnectionLimiter (see there), and a connection that hasn't completed its hello within
+   * `helloTimeoutMs` (default 10s, 0 disables; also bounds the TLS handshake) is destroyed. Each is reported
+   * as a "limit" event { kind, remoteAddress, ... } ("hello-timeout" with `outbound`, rate limits with
+   * `peerId`).
+   * @param {net.Socket} socket
+   * @param {{ outbound: boolean, onPeer?: (peerId: string) => boolean }} options
+   *   onPeer: called once the remote is identified (before any tie-break); return false to refuse it
+   */
+  _handleSocket(socket, { outbound, onPeer = null }) {
     socket.setNoDelay(true);
-    this._writeHello(socket);
+    if (this._heartbeatIntervalMs > 0) socket.setKeepAlive(true, this._heartbeatIntervalMs);
+    const now = Date.now();
+    const conn = {
+      socket,
+      outbound: !!outbound,
+      queue: new OutboundQueue(socket, this._queueOptions),
+      peerId: null,
+      claimedPeerId: null, // peerId from the remote hello, before it is verified
+      retired: false, // lost a duplicate-connection tie-break; draining
+      control: false, // remote understands control frames
+      fragments: false, // remote reassembles fragmented messages
+      partial: [], // fragments of the message being received
+      partialBytes: 0,
+      connectedAt: now,
+      lastSeenAt: now,
+      lastActivityAt: now,
+      pingId: 0,
+      pingSentAt: null,
+      rttMs: null,
+      srttMs: null,
+      closeReason: null,
+    };
+    this._conns.set(socket, conn);
+    const session = this._handshake.createSession({ caps: ["ctl", "frag"] });
+    this._writeJson(socket, session.hello());
 
     let buf = Buffer.alloc(0);
     let remotePeerId = null;
     let closed = false;
+    // Payloads that arrive while the (possibly async) handshake runs are held here,
+    // so nothing from a peer is emitted before it is established.
+    const pending = [];
+    let pendingBytes = 0;
+    let pumping = false;
+
+    const remoteAddress = socket.remoteAddress ?? null;
+    const helloTimer =
+      this._helloTimeoutMs > 0
+        ? setTimeout(() => {
+            if (remotePeerId || closed) return;
+            this.emit("limit", { kind: "hello-timeout", remoteAddress, outbound: !!outbound });
+            socket.destroy();
+          }, this._helloTimeoutMs)
+        : null;
+    helloTimer?.unref?.();
+    const throttle = this._limiter.throttle(socket, (info) => {
+      this.emit("limit", { ...info, remoteAddress, peerId: remotePeerId });
+    });
 
     const cleanup = () => {
       if (closed) return;
       closed = true;
+      clearTimeout(helloTimer);
+      throttle?.close();
+      pending.length = 0;
+      pendingBytes = 0;
+      conn.queue.close(new Error("connection closed"));
+      this._releasePartial(conn);
+      this._conns.delete(socket);
       if (remotePeerId && this._peers.get(remotePeerId) === socket) {
         this._peers.delete(remotePeerId);
-        this.emit("disconnection", { peerId: remotePeerId });
+        const reason = conn.closeReason ?? "closed";
+        // The other half of a simultaneous dial may still be in hello; let it take over silently.
+        if (this._helloInFlight(remotePeerId)) this._handoffs.set(remotePeerId, { outbound: !!outbound, reason });
+        else this._peerLost(remotePeerId, !!outbound, reason);
+      } else if (!remotePeerId && this._handoffs.has(conn.claimedPeerId) && !this._helloInFlight(conn.claimedPeerId)) {
+        const handoff = this._handoffs.get(conn.claimedPeerId);
+        this._handoffs.delete(conn.claimedPeerId);
+        this._peerLost(conn.claimedPeerId, handoff.outbound, handoff.reason);
+      }
+    };
+
+    const fail = (err) => {
+      conn.closeReason ??= "error";
+      this.emit("error", err);
+      pending.length = 0;
+      pendingBytes = 0;
+      socket.destroy();
+    };
+
+    const handshakeStep = async (payload) => {
+      let obj;
+      try {
+        obj = JSON.parse(new TextDecoder().decode(payload));
+      } catch {
+        throw new Error("TcpTransport invalid hello");
+      }
+      if (obj?.t === "hello" && typeof obj.peerId === "string") conn.claimedPeerId = obj.peerId;
+      let result;
+      try {
+        result = await session.receive(obj);
+      } catch (err) {
+        throw new Error(`TcpTransport ${err.message}`);
+      }
+      if (closed || !this._started) return;
+      if (result.reply) this._writeJson(socket, result.reply);
+      if (!result.peer) return;
+
+      const { peerId, algorithmId, publicKey, hello } = result.peer;
+      const certErr = this._checkPeerCertificate(socket, peerId);
+      if (certErr) throw certErr;
+      if (onPeer && !onPeer(peerId)) {
+        socket.destroy();
+        return;
+      }
+      // An unauthenticated inbound hello proves nothing, so it doesn't take over a connected peer: it waits,
+      // with the hello timer still running, for that connection to end first.
+      let existing = this._conns.get(this._peers.get(peerId));
+      while (existing && !outbound && !publicKey && this._supersedes(conn, existing)) {
+        await new Promise((resolve) => existing.socket.once("close", resolve));
+        if (closed || !this._started) return;
+        existing = this._conns.get(this._peers.get(peerId));
+      }
+      remotePeerId = peerId;
+      conn.peerId = peerId;
+      clearTimeout(helloTimer);
+      const caps = Array.isArray(hello.caps) ? hello.caps : [];
+      conn.control = caps.includes("ctl");
+      conn.fragments = caps.includes("frag");
+
+      if (existing && !this._supersedes(conn, existing)) {
+        this._retire(conn);
+        return;
+      }
+      const handoff = this._handoffs.get(peerId);
+      this._handoffs.delete(peerId);
+      this._peers.set(remotePeerId, socket);
+      // Same direction as the previous connection: the remote restarted or redialed, so it is a new
+      // session. Opposite direction: the other half of a simultaneous dial, same logical connection.
+      const previous = existing ?? handoff ?? null;
+      if (existing) this._retire(existing);
+      if (previous && previous.outbound !== !!outbound) return;
+      if (previous) this.emit("disconnection", { peerId, reason: existing ? "replaced" : previous.reason });
+
+      const resumed = this._finishReconnect(peerId, socket);
+      const info = { peerId, outbound: !!outbound, secure: !!socket.encrypted };
+      const target = outbound ? this._dialTargets.get(peerId) : null;
+      if (target) info.address = target.key;
+      if (publicKey) Object.assign(info, { authenticated: true, algorithmId, publicKey });
+      this.emit("connection", info);
+      if (resumed) this.emit("reconnected", { peerId, attempts: resumed.attempt });
+    };
+
+    // Emit a data frame, reassembling fragments first. Returns false if the peer was dropped.
+    const deliver = (payload, more) => {
+      if (!more && !conn.partial.length) {
+        this.emit("frame", { from: remotePeerId, bytes: new Uint8Array(payload) });
+        return true;
+      }
+      const err = this._addPartial(conn, payload);
+      if (err) {
+        fail(err);
+        return false;
+      }
+      if (more) return true;
+      const bytes = new Uint8Array(Buffer.concat(conn.partial));
+      this._releasePartial(conn);
+      this.emit("frame", { from: remotePeerId, bytes });
+      return true;
+    };
+
+    const pump = async () => {
+      if (pumping) return;
+      pumping = true;
+      try {
+        while (pending.length && !closed) {
+          const { payload, more } = pending.shift();
+          pendingBytes -= payload.length;
+          if (remotePeerId) {
+            if (!deliver(payload, more)) return;
+          } else if (more) {
+            throw new Error("TcpTransport fragmented hello");
+          } else {
+            await handshakeStep(payload);
+          }
+        }
+      } catch (err) {
+        fail(err);
+      } finally {
+        pumping = false;
       }
     };
 
@@ -181,52 +756,232 @@ export default class TcpTransport extends Transport {
     socket.on("error", (err) => this.emit("error", err));
 
     socket.on("data", (chunk) => {
+      conn.lastSeenAt = Date.now();
+      throttle?.bytes(chunk.length);
       buf = Buffer.concat([buf, chunk]);
       while (buf.length >= 4) {
-        const len = buf.readUInt32BE(0);
-        if (len > this._maxFrameBytes) {
-          this.emit("error", new Error("TcpTransport frame too large"));
-          socket.destroy();
+        const word = buf.readUInt32BE(0);
+        const control = (word & CONTROL_FLAG) !== 0;
+        const len = word & LENGTH_MASK;
+        if (len > (control ? MAX_CONTROL_BYTES : this._maxFrameBytes)) {
+          fail(new Error("TcpTransport frame too large"));
           return;
         }
-        if (buf.length < 4 + len) return;
+        if (buf.length < 4 + len) break;
         const payload = buf.subarray(4, 4 + len);
         buf = buf.subarray(4 + len);
 
-        if (!remotePeerId) {
-          // first frame is hello
-          let obj;
-          try {
-            obj = JSON.parse(new TextDecoder().decode(payload));
-          } catch {
-            this.emit("error", new Error("TcpTransport invalid hello"));
-            socket.destroy();
-            return;
-          }
-          if (!obj || obj.t !== "hello" || typeof obj.peerId !== "string" || !obj.peerId) {
-            this.emit("error", new Error("TcpTransport invalid hello fields"));
-            socket.destroy();
-            return;
-          }
-          remotePeerId = obj.peerId;
-          this._peers.set(remotePeerId, socket);
-          this.emit("connection", { peerId: remotePeerId, outbound: !!outbound });
+        if (control) {
+          // The remote may ping as soon as it has verified us, before we have verified it.
+          if (remotePeerId) this._handleControl(conn, payload);
           continue;
         }
+        if (remotePeerId) conn.lastActivityAt = conn.lastSeenAt;
+        throttle?.frame();
 
-        this.emit("frame", { from: remotePeerId, bytes: new Uint8Array(payload) });
+        const more = (word & MORE_FLAG) !== 0;
+        if (remotePeerId && !pumping && !pending.length) {
+          if (!deliver(payload, more)) return;
+        } else {
+          pending.push({ payload, more });
+          pendingBytes += payload.length;
+          if (pendingBytes > this._maxMessageBytes) {
+            fail(new Error("TcpTransport too much data before hello"));
+            return;
+          }
+        }
       }
+      if (pending.length) pump();
     });
   }
 
-  async _dial(host, port, { expectedPeerId }) {
-    const key = `tcp://${host}:${port}`;
+  /**
+   * Hold a fragment against `maxMessageBytes` (per message) and `maxReassemblyBytes` (across all
+   * connections); exceeding either drops the peer.
+   * @returns {Error|null} why the fragment was refused
+   */
+  _addPartial(conn, payload) {
+    if (conn.partialBytes + payload.length > this._maxMessageBytes) return new Error("TcpTransport message too large");
+    if (this._reassemblyBytes + payload.length > this._maxReassemblyBytes) {
+      return new Error("TcpTransport reassembly budget exceeded");
+    }
+    // Copy so a small fragment doesn't pin the whole receive buffer it was sliced from.
+    conn.partial.push(Buffer.from(payload));
+    conn.partialBytes += payload.length;
+    this._reassemblyBytes += payload.length;
+    return null;
+  }
+
+  _releasePartial(conn) {
+    this._reassemblyBytes -= conn.partialBytes;
+    conn.partial = [];
+    conn.partialBytes = 0;
+  }
+
+  /**
+   * Tie-break between two established connections to the same peer; there is one connection per peer. Both
+   * ends reach the same answer: of a simultaneous dial the connection dialed by the lower peerId survives
+   * (the other is retired, and "connection" is emitted once for the pair); of two connections in the same
+   * direction the newer one replaces the stale one, reported as "disconnection" with reason "replaced"
+   * before the new "connection". Without authentication an inbound connection never gets this far while
+   * the peer has a live one; it waits (within `helloTimeoutMs`) for the old one to end.
+   * @returns {boolean} true if `conn` should replace `existing`
+   */
+  _supersedes(conn, existing) {
+    if (conn.outbound === existing.outbound) return true;
+    const lower = this._localId < existing.peerId ? this._localId : existing.peerId;
+    const dialer = conn.outbound ? this._localId : existing.peerId;
+    return dialer === lower;
+  }
+
+  /**
+   * Take a losing duplicate out of service: frames already queued on it are flushed and frames the remote
+   * still sends on it are delivered, then the socket ends. The remote retires the same connection.
+   */
+  _retire(conn) {
+    conn.retired = true;
+    conn.queue.end();
+    const timer = setTimeout(() => conn.socket.destroy(), RETIRE_TIMEOUT_MS);
+    timer.unref?.();
+    conn.socket.once("close", () => clearTimeout(timer));
+  }
+
+  _helloInFlight(peerId) {
+    for (const conn of this._conns.values()) {
+      if (!conn.peerId && conn.claimedPeerId === peerId) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Redial a peer that was dialed, or report it gone: "disconnection" { peerId, reason } with reason "closed",
+   * "error", "timeout" or "idle" (the other reasons, "replaced" and "reconnect-failed", are reported where
+   * they happen).
+   */
+  _peerLost(peerId, outbound, reason) {
+    const target = outbound ? this._dialTargets.get(peerId) : null;
+    if (this._reconnect && this._started && target) {
+      this._startReconnect(peerId, target);
+      return;
+    }
+    this._forgetAddress(peerId);
+    this.emit("disconnection", { peerId, reason });
+  }
+
+  /** Drop what was learned about where a peer that is gone for good was dialed. */
+  _forgetAddress(peerId) {
+    const target = this._dialTargets.get(peerId);
+    this._dialTargets.delete(peerId);
+    if (target && this._addressPeers.get(target.key) === peerId) this._addressPeers.delete(target.key);
+  }
+
+  /**
+   * Reconnect (`reconnect: true`): the address of every outbound dial is remembered per peerId, and when
+   * such a connection drops the peer is redialed with jittered exponential backoff instead of emitting
+   * "disconnection". "reconnecting" { peerId, address, attempt, delayMs } is emitted before each attempt
+   * and "reconnected" { peerId, attempts } once the peer is back (after its "connection" event); meanwhile
+   * send() queues and connect() waits. After `reconnectMaxAttempts` failed attempts the queue is dropped
+   * and "disconnection" is emitted; disconnect(peerId) ends a reconnect for good.
+   */
+  _startReconnect(peerId, target) {
+    const state = {
+      target,
+      attempt: 0,
+      timer: null,
+      queue: [],
+      queuedBytes: 0,
+      done: null,
+      resolve: null,
+      reject: null,
+    };
+    state.done = new Promise((resolve, reject) => {
+      state.resolve = resolve;
+      state.reject = reject;
+    });
+    // Only connect() callers observe the outcome; don't surface it as unhandled otherwise.
+    state.done.catch(() => {});
+    this._reconnects.set(peerId, state);
+    this._scheduleReconnect(peerId, state);
+  }
+
+  _scheduleReconnect(peerId, state) {
+    if (state.attempt >= this._reconnectMaxAttempts) {
+      this._abandonReconnect(peerId, new Error("TcpTransport reconnect attempts exhausted"));
+      return;
+    }
+    const exp = Math.min(this._reconnectMaxDelayMs, this._reconnectBaseDelayMs * 2 ** state.attempt);
+    // Equal jitter: half fixed, half random, so peers that dropped together don't redial in lockstep.
+    const delayMs = Math.round(exp / 2 + Math.random() * (exp / 2));
+    state.attempt += 1;
+    this.emit("reconnecting", { peerId, address: state.target.key, attempt: state.attempt, delayMs });
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      if (this._reconnects.get(peerId) !== state) return;
+      this._dial(state.target, { expectedPeerId: peerId }).catch((err) => {
+        if (this._reconnects.get(peerId) !== state) return;
+        this.emit("error", err);
+        this._scheduleReconnect(peerId, state);
+      });
+    }, delayMs);
+  }
+
+  /**
+   * Called once a peer is (re-)established on `socket`; flushes frames queued while reconnecting.
+   * @returns {object|null} the finished reconnect state, if the peer was reconnecting
+   */
+  _finishReconnect(peerId, socket) {
+    const state = this._reconnects.get(peerId);
+    if (!state) return null;
+    this._reconnects.delete(peerId);
+    clearTimeout(state.timer);
+    for (const bytes of state.queue) {
+      this._writeDataFrame(socket, peerId, bytes).catch((err) => this.emit("error", err));
+    }
+    state.queue = [];
+    state.resolve(peerId);
+    return state;
+  }
+
+  _abandonReconnect(peerId, err, { emit = true } = {}) {
+    const state = this._reconnects.get(peerId);
+    if (!state) return;
+    this._reconnects.delete(peerId);
+    clearTimeout(state.timer);
+    state.queue = [];
+    this._forgetAddress(peerId);
+    state.reject(err);
+    if (emit) this.emit("disconnection", { peerId, reason: "reconnect-failed" });
+  }
+
+  /**
+   * Enforce `pinnedCertificates: { [peerId]: sha256Fingerprint }` for a peer that just sent its hello: a
+   * pinned peer is rejected unless it presents that certificate over TLS. With pins, self-signed certs work
+   * without a CA by setting `tls.rejectUnauthorized: false`.
+   * @returns {Error|null}
+   */
+  _checkPeerCertificate(socket, peerId) {
+    const pin = this._pins.get(peerId);
+    if (!pin) return null;
+    const cert = socket.encrypted ? socket.getPeerCertificate() : null;
+    if (!cert?.fingerprint256) return new Error("TcpTransport pinned peer presented no certificate");
+    if (normalizeFingerprint(cert.fingerprint256) !== pin) return new Error("TcpTransport certificate pin mismatch");
+    return null;
+  }
+
+  async _dial(target, { expectedPeerId }) {
+    const { host, port, path, secure, key } = target;
     if (this._dialing.has(key)) return await this._dialing.get(key);
 
     const p = new Promise((resolve, reject) => {
-      const socket = net.connect({ host, port }, () => {
-        this._handleSocket(socket, { outbound: true });
-      });
+      const onConnect = () => this._handleSocket(socket, { outbound: true, onPeer });
+      let socket;
+      if (path) {
+        socket = net.connect({ path }, onConnect);
+      } else if (secure) {
+        socket = tls.connect({ servername: net.isIP(host) ? undefined : host, ...this._tls, host, port }, onConnect);
+      } else {
+        socket = net.connect({ host, port }, onConnect);
+      }
 
       let done = false;
       const onErr = (err) => {
@@ -236,24 +991,22 @@ export default class TcpTransport extends Transport {
         reject(err);
       };
 
-      const onConn = ({ peerId }) => {
-        if (done) return;
-        // Make sure this is the handshake for *this* socket.
-        if (this._peers.get(peerId) !== socket) return;
+      // Resolves even if this socket then loses a tie-break: the peer is connected either way.
+      const onPeer = (peerId) => {
+        if (done) return true;
+        done = true;
+        cleanup();
         if (expectedPeerId && peerId !== expectedPeerId) {
-          done = true;
-          socket.destroy();
-          cleanup();
           reject(new Error("TcpTransport peerId mismatch"));
-          return;
+          return false;
         }
-        done = true;
-        cleanup();
-        resolve(socket);
+        this._dialTargets.set(peerId, target);
+        this._addressPeers.set(key, peerId);
+        resolve(peerId);
+        return true;
       };
 
       const cleanup = () => {
-        this.off("connection", onConn);
         socket.off("error", onErr);
         socket.off("close", onClose);
       };
@@ -265,7 +1018,6 @@ export default class TcpTransport extends Transport {
         reject(new Error("TcpTransport connect closed"));
       };
 
-      this.on("connection", onConn);
       socket.on("error", onErr);
       socket.on("close", onClose);
     }).finally(() => {
@@ -0,0 +1,267 @@
+import Transport from "../../../../core/network/interfaces/Transport.js";
+
+// Schemes served by transports registered under these names, unless `schemes` is given.
+const DEFAULT_SCHEMES = {
+  tcp: ["tcp", "tls", "unix"],
+  ws: ["ws", "wss"],
+  loop: ["loop"],
+};
+// Peers only known from the frames they sent (e.g. behind a relay) remembered for replies.
+const MAX_LEARNED_ROUTES = 4096;
+// Events forwarded from every transport as is, tagged with the transport's name.
+const PASSTHROUGH_EVENTS = ["dropped", "undeliverable"];
+
+function schemeOf(to) {
+  const m = /^([a-z][a-z0-9+.-]*):\/\//i.exec(String(to));
+  return m ? m[1].toLowerCase() : null;
+}
+
+/**
+ * TransportManager
+ *
+ * One Transport over several (TcpTransport, WebSocketTransport, LoopbackTransport, ...) for a node that
+ * listens or dials on more than one, so upper layers (SecureSessionTransport, StreamMultiplexer, ...)
+ * see a single peer set.
+ *
+ * - `transports: [{ name, transport, schemes? }]`: initialized transports sharing one localId, in order of
+ *   preference; start()/stop() are forwarded to all of them. `schemes` defaults by name: tcp -> tcp/tls/unix,
+ *   ws -> ws/wss, loop -> loop
+ * - send()/connect() to an address go to the transport serving its scheme (unless `expectedPeerId` is
+ *   already connected). To a peerId they use an existing connection, whichever transport it came in on:
+ *   the first live one in preference order, else one that is reconnecting to the peer, else the transport
+ *   the peer's frames last arrived on (peers behind a relay), else the `fallback` transport if set
+ * - "connection" is emitted when a peer becomes reachable over its first transport and "disconnection" when
+ *   its last connection is gone; a second connection to a connected peer (or losing one of two) is silent.
+ *   Both carry the transport's own fields plus `transport` (its name), as do "frame" { from, bytes, transport },
+ *   "reconnecting", "reconnected", "dropped" and "undeliverable". Errors are forwarded unchanged.
+ */
+export default class TransportManager extends Transport {
+  constructor() {
+    super();
+    this._localId = null;
+    /** @type {{ name: string, transport: Transport, schemes: string[], handlers: object }[]} */
+    this._entries = [];
+    /** @type {Map<string, object>} */
+    this._byScheme = new Map(); // scheme -> entry
+    this._fallback = null;
+    /** @type {Map<string, Set<string>>} */
+    this._routes = new Map(); // peerId -> names of transports with a connection to it
+    /** @type {Map<string, Set<string>>} */
+    this._reconnecting = new Map(); // peerId -> names of transports redialing it
+    /** @type {Map<string, string>} */
+    this._learned = new Map(); // peerId -> name of the transport its last frame came in on
+    /** @type {Map<string, string>} */
+    this._addressPeers = new Map(); // address -> peerId it was last connected to
+    this._started = false;
+  }
+
+  /**
+   * @param {{ transports: { name: string, transport: Transport, schemes?: string[] }[], fallback?: string }} options
+   */
+  async init(options = {}) {
+    const list = options.transports ?? [];
+    if (!Array.isArray(list) || !list.length) throw new Error("TransportManager requires options.transports");
+    this._entries = [];
+    this._byScheme = new Map();
+    for (const { name, transport, schemes } of list) {
+      if (!name || !transport) throw new Error("TransportManager transports need a name and a transport");
+      if (this._entries.some((e) => e.name === name)) throw new Error(`TransportManager duplicate transport name: ${name}`);
+      const entry = { name, transport, schemes: (schemes ?? DEFAULT_SCHEMES[name] ?? []).map((s) => s.toLowerCase()), handlers: null };
+      for (const scheme of entry.schemes) {
+        if (this._byScheme.has(scheme)) throw new Error(`TransportManager scheme ${scheme}:// is served twice`);
+        this._byScheme.set(scheme, entry);
+      }
+      this._entries.push(entry);
+    }
+
+    this._localId = this._entries[0].transport.getLocalId();
+    if (this._entries.some((e) => e.transport.getLocalId() !== this._localId)) {
+      throw new Error("TransportManager transports must share one localId");
+    }
+    this._fallback = options.fallback != null ? this._entry(options.fallback) : null;
+    if (options.fallback != null && !this._fallback) throw new Error(`TransportManager unknown fallback transport: ${options.fallback}`);
+
+    for (const entry of this._entries) {
+      entry.handlers = {
+        connection: (info) => this._onConnection(entry, info),
+        disconnection: (info) => this._onDisconnection(entry, info),
+        frame: ({ from, bytes, ...rest }) => this._onFrame(entry, from, bytes, rest),
+        reconnecting: (info) => this._onReconnecting(entry, info),
+        reconnected: (info) => this._onReconnected(entry, info),
+        error: (err) => this.emit("error", err),
+      };
+      for (const event of PASSTHROUGH_EVENTS) {
+        entry.handlers[event] = (info) => this.emit(event, { ...info, transport: entry.name });
+      }
+      for (const [event, fn] of Object.entries(entry.handlers)) entry.transport.on(event, fn);
+    }
+    this._started = false;
+  }
+
+  getLocalId() {
+    return this._localId;
+  }
+
+  getListenAddresses() {
+    return this._entries.flatMap((e) => e.transport.getListenAddresses?.() ?? []);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Transport|null}
+   */
+  getTransport(name) {
+    return this._entry(name)?.transport ?? null;
+  }
+
+  /**
+   * Names of the transports currently connected to a peer, in preference order.
+   * @param {string} peerId
+   * @returns {string[]}
+   */
+  getPeerTransports(peerId) {
+    const names = this._routes.get(String(peerId));
+    return names ? this._entries.filter((e) => names.has(e.name)).map((e) => e.name) : [];
+  }
+
+  async start() {
+    if (this._started) return;
+    const started = [];
+    try {
+      for (const entry of this._entries) {
+        await entry.transport.start();
+        started.push(entry);
+      }
+    } catch (err) {
+      for (const entry of started.reverse()) await entry.transport.stop().catch(() => {});
+      throw err;
+    }
+    this._started = true;
+  }
+
+  async stop() {
+    if (!this._started) return;
+    this._started = false;
+    this._routes.clear();
+    this._reconnecting.clear();
+    this._learned.clear();
+    this._addressPeers.clear();
+    for (const entry of this._entries) await entry.transport.stop();
+  }
+
+  async send(to, bytes, options = {}) {
+    if (!(bytes instanceof Uint8Array)) throw new Error("TransportManager.send requires Uint8Array bytes");
+    if (!this._started) throw new Error("TransportManager not started");
+
+    const { entry, peerId } = await this._resolve(to, options);
+    await entry.transport.send(peerId ?? to, bytes, options);
+  }
+
+  /**
+   * Resolve `to` to a reachable peerId.
+   * @param {string} to - peerId or an address in one of the registered schemes
+   * @param {{ expectedPeerId?: string }} [options]
+   * @returns {Promise<string>} remote peerId
+   */
+  async connect(to, options = {}) {
+    if (!this._started) throw new Error("TransportManager not started");
+    const { entry, peerId } = await this._resolve(to, options);
+    if (peerId) return peerId;
+    if (typeof entry.transport.connect !== "function") throw new Error(`TransportManager ${entry.name} cannot connect`);
+    return await entry.transport.connect(to, options);
+  }
+
+  /**
+   * Pick the transport for `to`. peerId is set when the target is (or turned out to be) a known peer.
+   */
+  async _resolve(to, options) {
+    const target = String(to);
+    const scheme = schemeOf(target);
+    if (!scheme) {
+      const entry = this._routeFor(target) ?? this._fallback;
+      if (!entry) throw new Error("TransportManager unknown peerId");
+      return { entry, peerId: target };
+    }
+
+    const entry = this._byScheme.get(scheme);
+    if (!entry) throw new Error(`TransportManager no transport for ${scheme}://`);
+    // An address we already reached (or the peer we expect there) may be connected over another transport.
+    const known = options.expectedPeerId ?? this._addressPeers.get(target);
+    if (known && this._routes.has(known)) return { entry: this._routeFor(known), peerId: known };
+    if (typeof entry.transport.connect !== "function") return { entry, peerId: null };
+    const peerId = await entry.transport.connect(target, options);
+    this._addressPeers.set(target, peerId);
+    return { entry: this._routeFor(peerId) ?? entry, peerId };
+  }
+
+  _routeFor(peerId) {
+    const live = this._routes.get(peerId);
+    if (live) {
+      const redialing = this._reconnecting.get(peerId);
+      const entry = this._entries.find((e) => live.has(e.name) && !redialing?.has(e.name));
+      if (entry) return entry;
+      return this._entries.find((e) => live.has(e.name));
+    }
+    const learned = this._learned.get(peerId);
+    return learned ? this._entry(learned) : null;
+  }
+
+  _entry(name) {
+    return this._entries.find((e) => e.name === name) ?? null;
+  }
+
+  _onConnection(entry, info) {
+    let names = this._routes.get(info.peerId);
+    const first = !names;
+    if (!names) {
+      names = new Set();
+      this._routes.set(info.peerId, names);
+    }
+    names.add(entry.name);
+    this._learned.delete(info.peerId);
+    if (first) this.emit("connection", { ...info, transport: entry.name });
+  }
+
+  _onDisconnection(entry, info) {
+    this._doneReconnecting(entry, info.peerId);
+    const names = this._routes.get(info.peerId);
+    if (!names || !names.delete(entry.name)) return;
+    if (names.size) return;
+    this._routes.delete(info.peerId);
+    for (const [address, peerId] of this._addressPeers) {
+      if (peerId === info.peerId) this._addressPeers.delete(address);
+    }
+    this.emit("disconnection", { ...info, transport: entry.name });
+  }
+
+  _onFrame(entry, from, bytes, rest) {
+    if (!this._routes.has(from)) {
+      this._learned.delete(from); // re-insert as the most recent
+      this._learned.set(from, entry.name);
+      if (this._learned.size > MAX_LEARNED_ROUTES) this._learned.delete(this._learned.keys().next().value);
+    }
+    this.emit("frame", { ...rest, from, bytes, transport: entry.name });
+  }
+
+  _onReconnecting(entry, info) {
+    let names = this._reconnecting.get(info.peerId);
+    if (!names) {
+      names = new Set();
+      this._reconnecting.set(info.peerId, names);
+    }
+    names.add(entry.name);
+    this.emit("reconnecting", { ...info, transport: entry.name });
+  }
+
+  _onReconnected(entry, info) {
+    this._doneReconnecting(entry, info.peerId);
+    this.emit("reconnected", { ...info, transport: entry.name });
+  }
+
+  _doneReconnecting(entry, peerId) {
+    const names = this._reconnecting.get(peerId);
+    if (!names) return;
+    names.delete(entry.name);
+    if (!names.size) this._reconnecting.delete(peerId);
+  }
+}
@@ -1,11 +1,38 @@
 import http from "node:http";
+import https from "node:https";
 import net from "node:net";
+import tls from "node:tls";
 import crypto from "node:crypto";
 
 import Transport from "../../../../core/network/interfaces/Transport.js";
+import HelloHandshake from "./HelloHandshake.js";
+import OfflineMailbox from "./OfflineMailbox.js";
+import OutboundQueue from "./OutboundQueue.js";
+import PerMessageDeflate from "./PerMessageDeflate.js";
+import ConnectionLimiter from "./ConnectionLimiter.js";
 
 const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
 
+// Close status codes (RFC 6455 section 7.4.1)
+const CLOSE_NORMAL = 1000;
+const CLOSE_GOING_AWAY = 1001;
+const CLOSE_PROTOCOL_ERROR = 1002;
+const CLOSE_NO_STATUS = 1005;
+const CLOSE_ABNORMAL = 1006; // never sent; reported when a connection ends without a close frame
+const CLOSE_INVALID_PAYLOAD = 1007;
+const CLOSE_POLICY_VIOLATION = 1008;
+const CLOSE_TOO_BIG = 1009;
+
+const KNOWN_OPCODES = new Set([0, 1, 2, 8, 9, 10]);
+
+// Relay envelopes (binary messages on connections where both hellos list caps:["relay"])
+const RELAY_DATA = 1; // peerId: target (client -> relay) or sender (relay -> client); body: payload
+const RELAY_UNDELIVERABLE = 2; // relay -> client; peerId: target; body: UTF-8 reason
+const RELAY_STORED = 3; // relay -> client, from the mailbox; peerId: sender; body: id length u8 | id | storedAt u64 | payload
+const RELAY_ACK = 4; // client -> relay; peerId: id of a RELAY_STORED message
+// Undeliverable reasons after which a client stops reporting the peer behind the relay as connected.
+const RELAY_PEER_GONE = new Set(["unknown-peer", "not-relay-capable", "mailbox-full"]);
+
 function base64(bytes) {
   return Buffer.from(bytes).toString("base64");
 }
@@ -28,16 +55,130 @@ function wsAccept(secKey) {
 
 function parseWsUrl(url) {
   const u = new URL(String(url));
-  if (u.protocol !== "ws:") throw new Error("Only ws:// supported in MVP");
-  const host = u.hostname;
-  const port = Number(u.port || 80);
-  const path = u.pathname || "/";
-  return { host, port, path, href: u.href };
+  if (u.protocol !== "ws:" && u.protocol !== "wss:") throw new Error("Only ws:// and wss:// urls are supported");
+  const secure = u.protocol === "wss:";
+  // URL keeps IPv6 hosts bracketed; sockets want them bare.
+  const host = u.hostname.replace(/^\[(.*)\]$/, "$1");
+  const port = Number(u.port || (secure ? 443 : 80));
+  const path = (u.pathname || "/") + u.search;
+  return { host, port, path, secure, hostHeader: u.host, href: u.href };
+}
+
+/**
+ * An error that fails the connection with the given close status.
+ */
+function protocolError(message, closeCode = CLOSE_PROTOCOL_ERROR) {
+  const err = new Error(message);
+  err.closeCode = closeCode;
+  return err;
+}
+
+function isValidCloseCode(code) {
+  if (code >= 3000 && code <= 4999) return true; // registered / private use
+  return code >= 1000 && code <= 1014 && code !== 1004 && code !== 1005 && code !== 1006;
+}
+
+function decodeUtf8(bytes) {
+  try {
+    // ignoreBOM: a leading U+FEFF is part of the message, not something to strip.
+    return new TextDecoder("utf-8", { fatal: true, ignoreBOM: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Comma-separated header tokens (Sec-WebSocket-Protocol), trimmed, empty ones dropped.
+ */
+function parseTokenList(header) {
+  if (!header) return [];
+  return String(header)
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Answer an upgrade request with a plain HTTP error instead of switching protocols.
+ */
+function rejectUpgrade(socket, status, { message, headers = {} } = {}) {
+  if (socket.destroyed) return;
+  const body = `${message ?? http.STATUS_CODES[status] ?? "Error"}\n`;
+  const lines = [
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status] ?? "Error"}`,
+    "Connection: close",
+    "Content-Type: text/plain; charset=utf-8",
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    ...Object.entries(headers).map(([k, v]) => `${k}: ${v}`),
+  ];
+  socket.end(`${lines.join("\r\n")}\r\n\r\n${body}`);
+}
+
+function encodeEnvelope(type, peerId, body) {
+  const id = Buffer.from(String(peerId), "utf8");
+  const header = Buffer.allocUnsafe(3);
+  header[0] = type;
+  header.writeUInt16BE(id.length, 1);
+  return new Uint8Array(Buffer.concat([header, id, Buffer.from(body.buffer, body.byteOffset, body.byteLength)]));
+}
+
+function encodeStoredBody({ id, storedAt, bytes }) {
+  const idBytes = Buffer.from(id, "utf8");
+  const header = Buffer.allocUnsafe(1 + idBytes.length + 8);
+  header[0] = idBytes.length;
+  idBytes.copy(header, 1);
+  header.writeBigUInt64BE(BigInt(storedAt), 1 + idBytes.length);
+  return new Uint8Array(Buffer.concat([header, Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength)]));
+}
+
+/**
+ * @returns {{ id: string, storedAt: number, bytes: Uint8Array }|null} null if malformed
+ */
+function decodeStoredBody(body) {
+  const buf = Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+  if (buf.length < 1 || buf.length < 1 + buf[0] + 8) return null;
+  const end = 1 + buf[0];
+  const id = decodeUtf8(buf.subarray(1, end));
+  if (!id) return null;
+  return { id, storedAt: Number(buf.readBigUInt64BE(end)), bytes: new Uint8Array(buf.subarray(end + 8)) };
+}
+
+/**
+ * @returns {{ type: number, peerId: string, body: Uint8Array }|null} null if malformed
+ */
+function decodeEnvelope(bytes) {
+  const buf = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (buf.length < 3) return null;
+  const end = 3 + buf.readUInt16BE(1);
+  if (buf.length < end) return null;
+  const peerId = decodeUtf8(buf.subarray(3, end));
+  if (!peerId) return null;
+  return { type: buf[0], peerId, body: new Uint8Array(buf.subarray(end)) };
+}
+
+/**
+ * Render metric families in the Prometheus text exposition format.
+ * @param {{ name: string, type: "counter"|"gauge", help: string, samples: { labels?: object, value: number }[] }[]} families
+ */
+function formatPrometheus(families) {
+  const lines = [];
+  for (const { name, type, help, samples } of families) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const { labels = {}, value } of samples) {
+      const pairs = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/[\\"\n]/g, (c) => (c === "\n" ? "\\n" : `\\${c}`))}"`);
+      lines.push(`${name}${pairs.length ? `{${pairs.join(",")}}` : ""} ${value}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function normalizeFingerprint(fp) {
+  return String(fp).replaceAll(":", "").toUpperCase();
 }
 
-function buildFrame({ opcode, payload, mask }) {
-  const finOpcode = 0x80 | (opcode & 0x0f);
-  const len = payload.length >>> 0;
+function buildFrame({ opcode, payload, mask, fin = true, rsv1 = false }) {
+  const finOpcode = (fin ? 0x80 : 0) | (rsv1 ? 0x40 : 0) | (opcode & 0x0f);
+  const len = payload.length;
 
   let lenByte = 0;
   let extLen = Buffer.alloc(0);
@@ -50,9 +191,7 @@ function buildFrame({ opcode, payload, mask }) {
   } else {
     lenByte = 127;
     extLen = Buffer.allocUnsafe(8);
-    // JS number is safe for our MVP sizes; write high 32 = 0.
-    extLen.writeUInt32BE(0, 0);
-    extLen.writeUInt32BE(len, 4);
+    extLen.writeBigUInt64BE(BigInt(len), 0);
   }
 
   let maskKey = Buffer.alloc(0);
@@ -68,7 +207,12 @@ function buildFrame({ opcode, payload, mask }) {
   return Buffer.concat([header, extLen, maskKey, body]);
 }
 
-function tryParseFrame(buffer, { expectMasked, maxPayloadBytes }) {
+/**
+ * Parse one frame from the front of `buffer`.
+ * @returns {{ frame: { opcode: number, fin: boolean, rsv1: boolean, payload: Buffer }, rest: Buffer }|null} null if incomplete
+ * @throws protocolError (with closeCode) on anything RFC 6455 forbids
+ */
+function tryParseFrame(buffer, { expectMasked, maxPayloadBytes, allowRsv1 = false }) {
   if (buffer.length < 2) return null;
   const b0 = buffer[0];
   const b1 = buffer[1];
@@ -78,9 +222,17 @@ function tryParseFrame(buffer, { expectMasked, maxPayloadBytes }) {
   let len = b1 & 0x7f;
   let offset = 2;
 
-  if (!fin) throw new Error("Fragmented frames not supported");
-  if (expectMasked && !masked) throw new Error("Expected masked client frame");
-  if (!expectMasked && masked) throw new Error("Unexpected masked server frame");
+  // RSV1 marks a compressed message (permessage-deflate, first frame only); RSV2/RSV3 are never used.
+  const rsv1 = (b0 & 0x40) !== 0;
+  if ((b0 & 0x30) !== 0) throw protocolError("WS reserved bits set");
+  if (!KNOWN_OPCODES.has(opcode)) throw protocolError("WS unsupported opcode");
+  if (rsv1 && (!allowRsv1 || opcode === 0 || opcode >= 8)) throw protocolError("WS reserved bits set");
+  if (opcode >= 8) {
+    if (!fin) throw protocolError("WS fragmented control frame");
+    if (len > 125) throw protocolError("WS control frame too large");
+  }
+  if (expectMasked && !masked) throw protocolError("WS expected masked client frame");
+  if (!expectMasked && masked) throw protocolError("WS unexpected masked server frame");
 
   if (len === 126) {
     if (buffer.length < offset + 2) return null;
@@ -88,14 +240,14 @@ function tryParseFrame(buffer, { expectMasked, maxPayloadBytes }) {
     offset += 2;
   } else if (len === 127) {
     if (buffer.length < offset + 8) return null;
-    const hi = buffer.readUInt32BE(offset);
-    const lo = buffer.readUInt32BE(offset + 4);
+    const big = buffer.readBigUInt64BE(offset);
     offset += 8;
-    if (hi !== 0) throw new Error("Frame too large");
-    len = lo;
+    if (big >> 63n) throw protocolError("WS invalid 64-bit payload length");
+    if (big > BigInt(maxPayloadBytes)) throw protocolError("WS payload too large", CLOSE_TOO_BIG);
+    len = Number(big);
   }
 
-  if (len > maxPayloadBytes) throw new Error("WS payload too large");
+  if (len > maxPayloadBytes) throw protocolError("WS payload too large", CLOSE_TOO_BIG);
 
   let maskKey = null;
   if (masked) {
@@ -114,13 +266,31 @@ function tryParseFrame(buffer, { expectMasked, maxPayloadBytes }) {
     payload = out;
   }
 
-  return { frame: { opcode, payload }, rest };
+  return { frame: { opcode, fin, rsv1, payload }, rest };
 }
 
+/**
+ * One RFC 6455 connection: fragmented messages with control frames between their fragments, 64-bit lengths
+ * and close-frame status codes. Protocol violations fail the connection with an "error" event and a close
+ * frame: 1002 (protocol error: reserved bits, unknown opcodes, bad masking or control frames), 1007 (invalid
+ * UTF-8 in a text message or close reason) or 1009 (message too big).
+ * Messages larger than `fragmentBytes` (default: maxPayloadBytes, so anything that fits one frame is
+ * unchanged) are sent as continuation frames and reassembled on receipt, bounded per message by
+ * `maxMessageBytes` and across all connections by `maxReassemblyBytes`.
+ */
 class WsConnection {
   /**
    * @param {net.Socket} socket
-   * @param {{ maskOutgoing:boolean, expectMasked:boolean, maxPayloadBytes:number }} options
+   * @param {{ maskOutgoing:boolean, expectMasked:boolean, maxPayloadBytes:number, queue?:object,
+   *   fragmentBytes?:number, maxMessageBytes?:number, reassembly?:{ used:number, max:number },
+   *   deflate?:PerMessageDeflate|null, closeTimeoutMs?:number, io?:object }} options
+   *   queue: OutboundQueue options for data messages
+   *   fragmentBytes: larger outgoing messages are split into continuation frames
+   *   maxMessageBytes / reassembly: limits for one reassembled message / all partial messages sharing the budget
+   *   deflate: PerMessageDeflate negotiated for this connection (binary messages are compressed)
+   *   closeTimeoutMs: how long the closing handshake may take before the socket is destroyed
+   *   io: message/byte counters to add this connection's traffic to
+   *   (keepalive pings are started separately with startKeepalive())
    */
   constructor(socket, options) {
     this._socket = socket;
@@ -129,10 +299,56 @@ class WsConnection {
     this._maxPayloadBytes = options.maxPayloadBytes;
     this._buf = Buffer.alloc(0);
     this._handlers = { message: null, close: null, error: null };
-
+    this._outbound = new OutboundQueue(socket, options.queue);
+    this.relay = false; // binary messages are relay envelopes (set by the transport after the hello)
+    this.relayBudget = null; // relay server: the sender's token buckets
+    this.mailboxSentId = null; // relay server: last stored message replayed on this connection
+    this.peerInfo = null; // { outbound, secure, connectedAt } once the hello completed
+    this._io = options.io ?? null; // { messagesIn, bytesIn, messagesOut, bytesOut } shared by the transport's connections
+    this._fragmentBytes = options.fragmentBytes ?? options.maxPayloadBytes;
+    this._maxMessageBytes = options.maxMessageBytes ?? options.maxPayloadBytes;
+    this._reassembly = options.reassembly ?? { used: 0, max: Infinity };
+    this._partial = null; // { opcode, compressed, chunks, bytes } of a fragmented message in progress
+    this._deflate = options.deflate ?? null;
+    // With compression, sends and deliveries wait on (de)compression and are chained to stay in order.
+    this._sendChain = Promise.resolve();
+    this._inboundChain = Promise.resolve();
+    this._closeTimeoutMs = options.closeTimeoutMs ?? 5000;
+    this._isServer = !this._maskOutgoing;
+    this._closeSent = null; // { code, reason } we sent
+    this._closeReceived = null; // { code, reason } the peer sent; nothing after it is read
+    this._closeInitiator = null; // "local" | "remote"
+    this._failed = false; // protocol violation seen; the rest of the stream is ignored
+    this._closeTimer = null;
+    this._closeInfo = null; // set once the socket is gone
+    this._closed = new Promise((resolve) => {
+      this._resolveClosed = resolve;
+    });
+    this.lastSeenAt = Date.now(); // last time anything arrived from the peer
+    this.rttMs = null; // last ping round trip
+    this.srttMs = null; // smoothed round trip
+    this._keepalive = null; // { timer, deadline, ping: { payload, sentAt } | null, seq }
+    this._timedOut = false;
+
+    const onClose = () => {
+      if (this._closeInfo) return;
+      this._closeInfo = this._describeClose();
+      clearTimeout(this._closeTimer);
+      this._stopKeepalive();
+      this._outbound.close();
+      this._deflate?.close();
+      this._releasePartial();
+      this._handlers.close?.(this._closeInfo);
+      this._resolveClosed(this._closeInfo);
+    };
     socket.on("data", (chunk) => this._onData(chunk));
-    socket.on("close", () => this._handlers.close?.());
-    socket.on("end", () => this._handlers.close?.());
+    socket.on("close", onClose);
+    socket.on("end", () => {
+      // A server ends TCP once the close frames are exchanged; anything else is an abrupt end.
+      if (!this._closeReceived) onClose();
+      // Server-side sockets are half-open capable; don't leave ours open after the peer is gone.
+      if (!socket.writableEnded) socket.end();
+    });
     socket.on("error", (err) => this._handlers.error?.(err));
   }
 
@@ -140,62 +356,332 @@ class WsConnection {
     this._handlers.message = fn;
   }
 
+  /**
+   * @param {(info: { code: number, reason: string, clean: boolean }) => void} fn
+   */
   onClose(fn) {
     this._handlers.close = fn;
   }
 
+  /**
+   * @returns {Promise<{ code: number, reason: string, clean: boolean }>} settles once the socket is gone
+   */
+  closed() {
+    return this._closed;
+  }
+
+  /**
+   * True once the closing handshake started (or the connection failed or is gone): nothing more will be sent.
+   */
+  get closing() {
+    return !!(this._closeSent || this._closeReceived || this._failed || this._socket.destroyed);
+  }
+
   onError(fn) {
     this._handlers.error = fn;
   }
 
   sendText(text) {
+    if (this._closeSent || this._socket.writableEnded) return;
     const bytes = new TextEncoder().encode(String(text));
     this._socket.write(buildFrame({ opcode: 1, payload: bytes, mask: this._maskOutgoing }));
+    this._countOut(bytes.length);
   }
 
+  /**
+   * @returns {Promise<boolean>} true once accepted under the high-water mark, false if dropped
+   */
   sendBinary(bytes) {
-    this._socket.write(buildFrame({ opcode: 2, payload: bytes, mask: this._maskOutgoing }));
+    // Counted (uncompressed) once the queue accepted it; dropped or refused messages never went out.
+    const counted = (accepted) => {
+      if (accepted) this._countOut(bytes.length);
+      return accepted;
+    };
+    if (!this._deflate) return this._writeMessage(2, bytes, false).then(counted);
+    const deflate = this._deflate;
+    const prepared = this._sendChain.then(async () =>
+      deflate.shouldCompress(bytes) ? { payload: await deflate.compress(bytes), compressed: true } : { payload: bytes, compressed: false }
+    );
+    this._sendChain = prepared.catch(() => {});
+    // Only compression is serialized; queueing (and its overflow policy) is left to the OutboundQueue.
+    return prepared.then(({ payload, compressed }) => this._writeMessage(2, payload, compressed)).then(counted);
   }
 
-  close() {
-    try {
-      this._socket.end(buildFrame({ opcode: 8, payload: new Uint8Array(0), mask: this._maskOutgoing }));
-    } catch {
-      this._socket.destroy();
+  _countOut(bytes) {
+    if (!this._io) return;
+    this._io.messagesOut += 1;
+    this._io.bytesOut += bytes;
+  }
+
+  _writeMessage(opcode, payload, compressed) {
+    if (payload.length <= this._fragmentBytes) {
+      return this._outbound.write(buildFrame({ opcode, payload, mask: this._maskOutgoing, rsv1: compressed }));
     }
+    const frames = [];
+    for (let off = 0; off < payload.length; off += this._fragmentBytes) {
+      const end = Math.min(off + this._fragmentBytes, payload.length);
+      frames.push(
+        buildFrame({
+          opcode: off === 0 ? opcode : 0,
+          payload: payload.subarray(off, end),
+          mask: this._maskOutgoing,
+          fin: end === payload.length,
+          rsv1: compressed && off === 0,
+        })
+      );
+    }
+    return this._outbound.write(frames);
+  }
+
+  queueStats() {
+    return this._outbound.stats();
+  }
+
+  /**
+   * Ping the peer every intervalMs. If a ping is answered by neither a pong nor any other traffic within
+   * timeoutMs, the socket is destroyed and the connection closes as 1006 with reason "timeout".
+   * A ping still waiting for its deadline isn't followed by another one. The transport starts this on both
+   * sides for every established peer (`pingIntervalMs`, 0 disables; `pongTimeoutMs`); a lost uplink is
+   * redialled as usual, and pong round trips are exposed as rttMs/srttMs by getPeerStats().
+   * @param {number} intervalMs
+   * @param {number} timeoutMs
+   */
+  startKeepalive(intervalMs, timeoutMs) {
+    if (this._keepalive || this._closeInfo || !(intervalMs > 0)) return;
+    const keepalive = { timer: null, deadline: null, ping: null, seq: 0 };
+    keepalive.timer = setInterval(() => {
+      if (keepalive.ping || this.closing || this._socket.writableEnded) return;
+      keepalive.seq = (keepalive.seq + 1) >>> 0;
+      const payload = Buffer.alloc(4);
+      payload.writeUInt32BE(keepalive.seq);
+      keepalive.ping = { payload, sentAt: Date.now() };
+      // Control frames go straight to the socket; a pong stuck behind our own backlog still counts.
+      this._socket.write(buildFrame({ opcode: 9, payload, mask: this._maskOutgoing }));
+      keepalive.deadline = setTimeout(() => {
+        const ping = keepalive.ping;
+        keepalive.ping = null;
+        if (!ping || this.lastSeenAt >= ping.sentAt) return; // busy, but alive
+        this._timedOut = true;
+        this._socket.destroy();
+      }, timeoutMs);
+      keepalive.deadline.unref?.();
+    }, intervalMs);
+    keepalive.timer.unref?.();
+    this._keepalive = keepalive;
+  }
+
+  _stopKeepalive() {
+    if (!this._keepalive) return;
+    clearInterval(this._keepalive.timer);
+    clearTimeout(this._keepalive.deadline);
+    this._keepalive = null;
+  }
+
+  _onPong(payload) {
+    const ping = this._keepalive?.ping;
+    if (!ping || !ping.payload.equals(payload)) return; // unsolicited pongs are allowed and ignored
+    this._keepalive.ping = null;
+    clearTimeout(this._keepalive.deadline);
+    const rtt = Date.now() - ping.sentAt;
+    this.rttMs = rtt;
+    this.srttMs = this.srttMs === null ? rtt : Math.round((this.srttMs * 7 + rtt) / 8);
+  }
+
+  /**
+   * Start (or answer) the closing handshake: send a close frame, then wait for the peer's close frame
+   * and for TCP to end (the server ends it). Gives up after closeTimeoutMs. Safe to call more than once.
+   * @param {number} [code] - close status (omitted from the frame for 1005 "no status")
+   * @param {string} [reason] - UTF-8, truncated to fit a control frame
+   */
+  close(code = CLOSE_NORMAL, reason = "") {
+    this._outbound.close();
+    if (this._closeSent || this._socket.destroyed) return;
+    const reasonBytes = Buffer.from(String(reason), "utf8").subarray(0, 123);
+    // Don't cut a multi-byte character in half.
+    const text = decodeUtf8(reasonBytes) ?? reasonBytes.toString("utf8").replace(/\uFFFD+$/, "");
+    this._closeSent = { code, reason: code === CLOSE_NO_STATUS ? "" : text };
+    this._closeInitiator ??= "local";
+    const payload =
+      code === CLOSE_NO_STATUS
+        ? new Uint8Array(0)
+        : Buffer.concat([Buffer.from([code >> 8, code & 0xff]), Buffer.from(text, "utf8")]);
+    if (this._socket.writableEnded) return;
+    this._socket.write(buildFrame({ opcode: 8, payload, mask: this._maskOutgoing }));
+    this._closeTimer = setTimeout(() => this._socket.destroy(), this._closeTimeoutMs);
+    this._closeTimer.unref?.();
+    if (this._closeReceived || this._failed) this._endTcp();
+  }
+
+  _endTcp() {
+    // The server closes TCP first (RFC 6455 7.1.1); a client waits for it, bounded by the close timer.
+    // A failed connection is dropped right away.
+    if (this._isServer || this._failed) this._socket.end();
+  }
+
+  /**
+   * Status of the side that started closing (the answer usually just echoes it), or 1006 if neither did.
+   */
+  _describeClose() {
+    if (this._timedOut) return { code: CLOSE_ABNORMAL, reason: "timeout", clean: false };
+    const clean = !!this._closeSent && !!this._closeReceived && !this._failed;
+    const first = this._closeInitiator === "remote" ? this._closeReceived : this._closeSent;
+    if (!first) return { code: CLOSE_ABNORMAL, reason: "", clean: false };
+    return { code: first.code, reason: first.reason, clean };
   }
 
   _onData(chunk) {
+    if (this._failed || this._closeReceived) return;
+    this.lastSeenAt = Date.now();
     this._buf = Buffer.concat([this._buf, chunk]);
-    while (true) {
-      const parsed = tryParseFrame(this._buf, {
-        expectMasked: this._expectMasked,
-        maxPayloadBytes: this._maxPayloadBytes,
-      });
+    while (!this._failed && !this._closeReceived) {
+      let parsed;
+      try {
+        parsed = tryParseFrame(this._buf, {
+          expectMasked: this._expectMasked,
+          maxPayloadBytes: this._maxPayloadBytes,
+          allowRsv1: !!this._deflate,
+        });
+      } catch (err) {
+        this._fail(err);
+        return;
+      }
       if (!parsed) return;
       this._buf = parsed.rest;
 
-      const { opcode, payload } = parsed.frame;
+      const { opcode, fin, rsv1, payload } = parsed.frame;
       if (opcode === 8) {
-        this.close();
+        this._onCloseFrame(payload);
         return;
       }
+      // After our close frame only the peer's close matters.
+      if (this._closeSent) continue;
       if (opcode === 9) {
-        // ping -> pong
+        // ping -> pong (control frames may arrive between the fragments of a message)
         this._socket.write(buildFrame({ opcode: 10, payload, mask: this._maskOutgoing }));
         continue;
       }
-      if (opcode === 10) continue; // pong
+      if (opcode === 10) {
+        this._onPong(payload);
+        continue;
+      }
+
+      this._onDataFrame(opcode, fin, rsv1, payload);
+      if (this._socket.destroyed) return;
+    }
+  }
+
+  _onCloseFrame(payload) {
+    let code = CLOSE_NO_STATUS;
+    let reason = "";
+    if (payload.length === 1) {
+      this._fail(protocolError("WS invalid close frame"));
+      return;
+    }
+    if (payload.length >= 2) {
+      code = payload.readUInt16BE(0);
+      if (!isValidCloseCode(code)) {
+        this._fail(protocolError("WS invalid close code"));
+        return;
+      }
+      reason = decodeUtf8(payload.subarray(2));
+      if (reason == null) {
+        this._fail(protocolError("WS invalid UTF-8 in close reason", CLOSE_INVALID_PAYLOAD));
+        return;
+      }
+    }
+    this._buf = Buffer.alloc(0);
+    this._closeReceived = { code, reason };
+    this._closeInitiator ??= "remote";
+    // Answer with the same status if we haven't closed yet; either way the handshake is complete.
+    if (this._closeSent) this._endTcp();
+    else this.close(code === CLOSE_NO_STATUS ? CLOSE_NORMAL : code);
+  }
+
+  _onDataFrame(opcode, fin, compressed, payload) {
+    if (opcode !== 0) {
+      if (this._partial) {
+        this._fail(protocolError("WS new message before previous fragmented message finished"));
+        return;
+      }
+      if (fin) {
+        this._deliver(opcode, payload, compressed);
+        return;
+      }
+      this._partial = { opcode, compressed, chunks: [], bytes: 0 };
+    } else if (!this._partial) {
+      this._fail(protocolError("WS unexpected continuation frame"));
+      return;
+    }
+
+    const partial = this._partial;
+    if (partial.bytes + payload.length > this._maxMessageBytes) {
+      this._fail(protocolError("WS message too large", CLOSE_TOO_BIG));
+      return;
+    }
+    if (this._reassembly.used + payload.length > this._reassembly.max) {
+      this._fail(protocolError("WS reassembly budget exceeded", CLOSE_TOO_BIG));
+      return;
+    }
+    // Copy so a small fragment doesn't pin the whole receive buffer it was sliced from.
+    partial.chunks.push(Buffer.from(payload));
+    partial.bytes += payload.length;
+    this._reassembly.used += payload.length;
+    if (!fin) return;
+
+    const message = Buffer.concat(partial.chunks);
+    this._releasePartial();
+    this._deliver(partial.opcode, message, partial.compressed);
+  }
+
+  _deliver(opcode, payload, compressed) {
+    if (!this._deflate) {
+      this._emitMessage(opcode, payload);
+      return;
+    }
+    const deflate = this._deflate;
+    // Uncompressed messages queue behind compressed ones so delivery keeps wire order.
+    this._inboundChain = this._inboundChain
+      .then(async () => {
+        const data = compressed ? await deflate.decompress(payload) : payload;
+        if (!this._failed) this._emitMessage(opcode, data);
+      })
+      .catch((err) => this._fail(err));
+  }
 
-      if (opcode === 1) {
-        const text = new TextDecoder().decode(payload);
-        this._handlers.message?.({ opcode, text, bytes: new Uint8Array(payload) });
-      } else if (opcode === 2) {
-        this._handlers.message?.({ opcode, text: null, bytes: new Uint8Array(payload) });
-      } else {
-        throw new Error("Unsupported WS opcode");
+  _emitMessage(opcode, payload) {
+    let text = null;
+    if (opcode === 1) {
+      text = decodeUtf8(payload);
+      if (text == null) {
+        this._fail(protocolError("WS invalid UTF-8 in text message", CLOSE_INVALID_PAYLOAD));
+        return;
       }
     }
+    if (this._io) {
+      this._io.messagesIn += 1;
+      this._io.bytesIn += payload.length;
+    }
+    this._handlers.message?.({ opcode, text, bytes: new Uint8Array(payload) });
+  }
+
+  _releasePartial() {
+    if (!this._partial) return;
+    this._reassembly.used -= this._partial.bytes;
+    this._partial = null;
+  }
+
+  /**
+   * Fail the connection: report `err`, send a close frame with its status and stop reading.
+   * @param {Error & { closeCode?: number }} err
+   */
+  _fail(err) {
+    if (this._failed) return;
+    this._failed = true;
+    this._buf = Buffer.alloc(0);
+    this._releasePartial();
+    this._handlers.error?.(err);
+    if (this._closeSent) this._socket.destroy();
+    else this.close(err.closeCode ?? CLOSE_PROTOCOL_ERROR, err.message);
   }
 }
 
@@ -203,39 +689,152 @@ class WsConnection {
  * WebSocketTransport
  *
  * Node-only MVP transport that supports:
- * - server mode (listenHost/listenPort)
- * - client mode (url)
+ * - server mode (listenHost/listenPort), optionally a relay between its clients (see _forward())
+ * - client mode (url), optionally reconnecting (see _startReconnect())
  *
  * First message over the WS connection must be a text JSON hello:
  *   { t:"hello", peerId:"..." }
+ * Options are described on init().
  */
 export default class WebSocketTransport extends Transport {
   constructor() {
     super();
     this._localId = null;
+    /** @type {HelloHandshake|null} */
+    this._handshake = null;
     this._mode = null; // 'server' | 'client'
 
     this._listenHost = null;
     this._listenPort = null;
     this._path = "/";
     this._httpServer = null;
+    this._tls = null;
+    this._deflateOptions = null;
+    this._listenTls = false;
+    this._pins = null; // normalized sha256 fingerprints the relay certificate must match
+    this._authorizeUpgrade = null;
+    this._authToken = null;
+    this._protocols = [];
+    this._relay = false;
+    /** @type {OfflineMailbox|null} */
+    this._mailbox = null;
+    this._sweepTimer = null;
+    this._replaying = new Map(); // peerId -> { again } while its mailbox is being replayed
+    this._storing = new Map(); // peerId -> mailbox stores in flight for it
+    this._endpoints = null; // request path -> "health" | "ready" | "metrics"
+    this._counters = {
+      io: { messagesIn: 0, bytesIn: 0, messagesOut: 0, bytesOut: 0 },
+      connections: 0, // peers established since start
+      handshakeFailures: { tls: 0, upgrade: 0, hello: 0 },
+      undeliverable: {}, // reason -> relay frames refused
+      limits: {}, // kind -> "limit" events
+    };
 
     this._url = null;
     this._expectedPeerId = null;
 
     this._maxPayloadBytes = 1024 * 1024;
+    this._reassembly = null;
 
     /** @type {Map<string, WsConnection>} */
     this._peers = new Map(); // peerId -> conn
+    /** @type {Set<WsConnection>} */
+    this._conns = new Set(); // every upgraded connection, including ones still in hello
     /** @type {WsConnection|null} */
     this._uplink = null;
     this._uplinkPeerId = null;
+    this._reconnecting = null; // client mode: state while the lost uplink is being redialed
+    /** @type {Map<string, object>} */
+    this._relayed = new Map(); // client mode: peerId behind the relay -> { outbound, lastSeenAt }
+    this._relayedIdleMs = 0;
+    this._relayedTimer = null;
+    /** @type {Map<import("node:net").Socket, NodeJS.Timeout>} */
+    this._helloTimers = new Map(); // socket -> hello deadline, until its peer is established
+    this._helloTimeoutMs = 10000;
+    this._limiter = new ConnectionLimiter();
   }
 
+  /**
+   * @param {object} [options]
+   * - `localId`, or `crypto` + `identity` to authenticate the hello (see HelloHandshake), so `expectedPeerId`
+   *   proves the relay holds the matching private key
+   * - server: `listenHost`/`listenPort`/`path`; `listenTls: true` serves HTTPS/wss using `tls` (key/cert
+   *   required); `authorizeUpgrade` (see _handleUpgrade()), `httpEndpoints` (see _handleRequest()), `relay`,
+   *   `relayMax*` and `mailbox` (see _forward())
+   * - client: `url` (`wss://` for TLS: `tls` is passed through to tls.connect, see _startClient()),
+   *   `authToken`, `protocols`, `pinnedCertificate`, `reconnect*` (see _startReconnect()), `relayedPeerIdleMs`
+   *   (see _expireRelayedPeers())
+   * - backpressure (see _sendOn()), framing and `fragmentBytes` (see WsConnection), `closeTimeoutMs` (see
+   *   disconnect()), `pingIntervalMs`/`pongTimeoutMs` (see WsConnection.startKeepalive()), limits (see
+   *   _startHelloDeadline()) and `perMessageDeflate` (see _createDeflate())
+   */
   async init(options = {}) {
-    this._localId = options.localId ?? randomId();
+    this._handshake = new HelloHandshake({
+      localId: options.localId ?? (options.identity ? null : randomId()),
+      crypto: options.crypto ?? null,
+      identity: options.identity ?? null,
+    });
+    await this._handshake.init();
+    this._localId = this._handshake.getLocalId();
     this._expectedPeerId = options.expectedPeerId ?? null;
     this._maxPayloadBytes = options.maxPayloadBytes ?? 1024 * 1024;
+    this._queueOptions = {
+      highWaterMark: options.sendHighWaterMark ?? 1024 * 1024, // 1MB
+      maxQueuedBytes: options.maxQueuedBytesPerPeer ?? 16 * 1024 * 1024, // 16MB
+      overflow: options.queueOverflow ?? "error",
+    };
+    this._fragmentBytes = Math.min(options.fragmentBytes ?? this._maxPayloadBytes, this._maxPayloadBytes);
+    this._closeTimeoutMs = options.closeTimeoutMs ?? 5000;
+    this._pingIntervalMs = options.pingIntervalMs ?? 15000;
+    this._pongTimeoutMs = options.pongTimeoutMs ?? 10000;
+    this._helloTimeoutMs = options.helloTimeoutMs ?? 10000;
+    this._limiter = new ConnectionLimiter({
+      maxConnections: options.maxConnections,
+      maxConnectionsPerIp: options.maxConnectionsPerIp,
+      maxFramesPerSecond: options.maxFramesPerSecond,
+      maxBytesPerSecond: options.maxBytesPerSecond,
+    });
+    this._reconnect = !!options.reconnect;
+    this._reconnectBaseDelayMs = options.reconnectBaseDelayMs ?? 500;
+    this._reconnectMaxDelayMs = options.reconnectMaxDelayMs ?? 30000;
+    this._reconnectMaxAttempts = options.reconnectMaxAttempts ?? Infinity;
+    this._reconnectQueueMaxBytes = options.reconnectQueueMaxBytes ?? 4 * 1024 * 1024; // 4MB
+    this._maxMessageBytes = options.maxMessageBytes ?? 64 * 1024 * 1024; // 64MB
+    this._reassembly = { used: 0, max: options.maxReassemblyBytes ?? 128 * 1024 * 1024 }; // 128MB, shared by all connections
+    this._tls = options.tls ?? null;
+    this._listenTls = !!options.listenTls;
+    if (this._listenTls && (!this._tls?.key || !this._tls?.cert)) {
+      throw new Error("WebSocketTransport listenTls requires options.tls.key and options.tls.cert");
+    }
+    this._deflateOptions = PerMessageDeflate.normalizeOptions(options.perMessageDeflate);
+    if (options.httpEndpoints) {
+      const paths = options.httpEndpoints === true ? {} : options.httpEndpoints;
+      const defaults = { health: "/healthz", ready: "/readyz", metrics: "/metrics" };
+      this._endpoints = new Map();
+      for (const [name, path] of Object.entries(defaults)) {
+        const p = paths[name] === undefined ? path : paths[name];
+        if (p) this._endpoints.set(String(p), name);
+      }
+    }
+    if (options.authorizeUpgrade != null && typeof options.authorizeUpgrade !== "function") {
+      throw new Error("WebSocketTransport authorizeUpgrade must be a function");
+    }
+    this._authorizeUpgrade = options.authorizeUpgrade ?? null;
+    this._relay = !!options.relay;
+    this._relayMaxFramesPerSecond = options.relayMaxFramesPerSecond ?? 200;
+    this._relayMaxBytesPerSecond = options.relayMaxBytesPerSecond ?? 4 * 1024 * 1024; // 4MB
+    this._relayedIdleMs = options.relayedPeerIdleMs ?? 5 * 60 * 1000;
+    if (options.mailbox) {
+      if (!this._relay) throw new Error("WebSocketTransport mailbox requires relay mode");
+      // Stored frames go to whoever completes the hello as their recipient; that claim has to be proven.
+      if (!this._handshake.isAuthenticated()) throw new Error("WebSocketTransport mailbox requires crypto and identity");
+      this._mailbox = new OfflineMailbox(options.mailbox.storage, options.mailbox);
+      this._sweepIntervalMs = options.mailbox.sweepIntervalMs ?? 60 * 1000;
+    }
+    this._authToken = options.authToken ?? null;
+    this._protocols = options.protocols == null ? [] : [].concat(options.protocols).map(String);
+    const pins = options.pinnedCertificate == null ? [] : [].concat(options.pinnedCertificate);
+    this._pins = pins.length ? new Set(pins.map(normalizeFingerprint)) : null;
 
     if (options.url) {
       this._mode = "client";
@@ -258,7 +857,8 @@ export default class WebSocketTransport extends Transport {
     if (this._mode !== "server" || !this._httpServer) return [];
     const addr = this._httpServer.address();
     if (!addr || typeof addr === "string") return [];
-    return [`ws://${addr.address}:${addr.port}${this._path}`];
+    const host = addr.family === "IPv6" ? `[${addr.address}]` : addr.address;
+    return [`${this._listenTls ? "wss" : "ws"}://${host}:${addr.port}${this._path}`];
   }
 
   async start() {
@@ -266,12 +866,23 @@ export default class WebSocketTransport extends Transport {
     if (this._mode === "server") {
       await this._startServer();
       this._started = true;
+      if (this._mailbox) {
+        this._sweepTimer = setInterval(() => {
+          this._mailbox.sweep().catch((err) => this.emit("error", new Error(`WebSocketTransport mailbox sweep failed: ${err.message}`)));
+        }, this._sweepIntervalMs);
+        this._sweepTimer.unref?.();
+      }
       return;
     }
     if (this._mode === "client") {
+      // Started before the handshake so "connection" listeners can already send to the relay.
+      this._started = true;
+      if (this._relayedIdleMs > 0) {
+        this._relayedTimer = setInterval(() => this._expireRelayedPeers(), this._relayedIdleMs / 2);
+        this._relayedTimer.unref?.();
+      }
       try {
         await this._startClient();
-        this._started = true;
         return;
       } catch (err) {
         // Ensure sockets are closed on failed start.
@@ -284,25 +895,28 @@ export default class WebSocketTransport extends Transport {
 
   async stop() {
     this._started = false;
-
-    for (const c of this._peers.values()) {
+    this._abandonReconnect(new Error("WebSocketTransport stopped"), { emit: false });
+    clearInterval(this._sweepTimer);
+    this._sweepTimer = null;
+    clearInterval(this._relayedTimer);
+    this._relayedTimer = null;
+
+    const conns = new Set(this._conns);
+    if (this._uplink) conns.add(this._uplink);
+    for (const c of conns) {
       try {
-        c.close();
+        c.close(CLOSE_GOING_AWAY);
       } catch {
         // ignore
       }
     }
+    this._conns.clear();
     this._peers.clear();
+    this._relayed.clear();
+    this._uplink = null;
     this._uplinkPeerId = null;
-
-    if (this._uplink) {
-      try {
-        this._uplink.close();
-      } catch {
-        // ignore
-      }
-      this._uplink = null;
-    }
+    // Let the closing handshakes finish (each is bounded by closeTimeoutMs).
+    await Promise.all([...conns].map((c) => c.closed()));
 
     if (this._httpServer) {
       const s = this._httpServer;
@@ -319,61 +933,333 @@ export default class WebSocketTransport extends Transport {
     if (this._mode === "server") {
       const conn = this._peers.get(target);
       if (!conn) throw new Error("Unknown peerId");
-      conn.sendBinary(bytes);
+      await this._sendOn(conn, target, conn.relay ? encodeEnvelope(RELAY_DATA, this._localId, bytes) : bytes);
+      return;
+    }
+
+    // client mode: only uplink (and, through a relay, the peers behind it)
+    const reconnecting = this._reconnecting;
+    if (!reconnecting && !this._uplink) throw new Error("Not connected");
+    const via = this._relayTarget(target);
+    if (reconnecting) {
+      if (reconnecting.queuedBytes + bytes.length > this._reconnectQueueMaxBytes) {
+        throw new Error("WebSocketTransport reconnect queue full");
+      }
+      reconnecting.queue.push({ to: via, bytes: new Uint8Array(bytes) });
+      reconnecting.queuedBytes += bytes.length;
       return;
     }
+    await this._sendUplink(this._uplink, via, bytes);
+  }
 
-    // client mode: only uplink
-    if (!this._uplink) throw new Error("Not connected");
-    if (target !== this._url && target !== this._uplinkPeerId) {
+  /**
+   * Client mode: who a message for `target` is addressed to through the relay (null: the relay itself).
+   * Throws unless the relay forwards to other peers.
+   */
+  _relayTarget(target) {
+    const reconnecting = this._reconnecting;
+    const relayPeerId = reconnecting ? reconnecting.peerId : this._uplinkPeerId;
+    if (target === this._url || target === relayPeerId) return null;
+    if (!(reconnecting ? reconnecting.relay : this._uplink?.relay)) {
       throw new Error("Client WebSocketTransport can only send to its connected relay");
     }
-    this._uplink.sendBinary(bytes);
+    return target;
   }
 
-  async _startServer() {
-    this._httpServer = http.createServer((req, res) => {
+  async _sendUplink(conn, to, bytes) {
+    if (!conn.relay) {
+      if (to != null) throw new Error("Client WebSocketTransport can only send to its connected relay");
+      await this._sendOn(conn, this._uplinkPeerId, bytes);
+      return;
+    }
+    await this._sendOn(conn, this._uplinkPeerId, encodeEnvelope(RELAY_DATA, to ?? this._uplinkPeerId, bytes));
+  }
+
+  /**
+   * Close the connection to one peer with a status code and wait for the closing handshake (close frames
+   * both ways, then the server ends TCP, bounded by `closeTimeoutMs`); stop() closes every connection with 1001.
+   * "disconnection" carries { peerId, outbound, code, reason, clean }: the status from whichever side started
+   * closing (1006 if the connection just dropped) and whether the closing handshake completed. A relay going
+   * away therefore shows up as 1001/clean, a protocol error as 1002.
+   * A peer behind the relay (client mode) is only reported as disconnected; nothing is sent.
+   * @param {string} peerId - a connected client (server mode), the relay or a peer behind it (client mode)
+   * @param {{ code?: number, reason?: string }} [options] - code 1000, 1001 or 3000-4999 (application-defined)
+   * @returns {Promise<{ code: number|null, reason: string, clean: boolean }>} how the connection ended
+   */
+  async disconnect(peerId, { code = CLOSE_NORMAL, reason = "" } = {}) {
+    if (code !== CLOSE_NORMAL && code !== CLOSE_GOING_AWAY && !(code >= 3000 && code <= 4999)) {
+      throw new Error(`WebSocketTransport invalid close code: ${code}`);
+    }
+    if (Buffer.byteLength(String(reason), "utf8") > 123) throw new Error("WebSocketTransport close reason too long");
+    const reconnecting = this._reconnecting;
+    if (reconnecting && String(peerId) === reconnecting.peerId) {
+      this._abandonReconnect(new Error("WebSocketTransport disconnected"));
+      const { code: lostCode, reason: lostReason, clean } = reconnecting.lost;
+      return { code: lostCode, reason: lostReason, clean };
+    }
+    if (this._relayed.has(String(peerId))) {
+      this._relayedPeerDown(String(peerId), "closed");
+      return { code: null, reason: "closed", clean: true };
+    }
+    const conn = this._peers.get(String(peerId));
+    if (!conn) throw new Error("Unknown peerId");
+    // Closing the relay on purpose: don't reconnect.
+    if (conn === this._uplink) {
+      this._uplink = null;
+      this._uplinkPeerId = null;
+    }
+    conn.close(code, reason);
+    return await conn.closed();
+  }
+
+  /**
+   * Backpressure (see OutboundQueue): resolves once the message is accepted under `sendHighWaterMark`
+   * buffered bytes; beyond that messages wait in a per-peer queue capped at `maxQueuedBytesPerPeer`, where
+   * `queueOverflow` "error" rejects the send and "drop" discards the message and emits "dropped"
+   * { peerId, bytes }. getQueueStats()/getAllQueueStats() expose depths.
+   */
+  async _sendOn(conn, peerId, bytes) {
+    let accepted;
+    try {
+      accepted = await conn.sendBinary(bytes);
+    } catch (err) {
+      throw new Error(`WebSocketTransport ${err.message}`);
+    }
+    if (!accepted) this.emit("dropped", { peerId, bytes: bytes.length });
+  }
+
+  /**
+   * Outbound queue depth for one peer (a reconnecting relay reports its reconnect queue).
+   * @param {string} peerId
+   * @returns {{ queuedFrames: number, queuedBytes: number, bufferedBytes: number, reconnecting: boolean }|null}
+   */
+  getQueueStats(peerId) {
+    const reconnecting = this._reconnecting;
+    if (reconnecting && reconnecting.peerId === peerId) {
+      return { queuedFrames: reconnecting.queue.length, queuedBytes: reconnecting.queuedBytes, bufferedBytes: 0, reconnecting: true };
+    }
+    const conn = this._peers.get(peerId);
+    return conn ? { ...conn.queueStats(), reconnecting: false } : null;
+  }
+
+  /**
+   * @returns {Object<string, { queuedFrames: number, queuedBytes: number, bufferedBytes: number, reconnecting: boolean }>}
+   */
+  getAllQueueStats() {
+    const out = {};
+    for (const peerId of this._peers.keys()) out[peerId] = this.getQueueStats(peerId);
+    if (this._reconnecting) out[this._reconnecting.peerId] = this.getQueueStats(this._reconnecting.peerId);
+    return out;
+  }
+
+  /**
+   * @param {string} peerId
+   * @returns {{ peerId: string, outbound: boolean, secure: boolean, heartbeat: boolean, connectedAt: number,
+   *   lastSeenAt: number, rttMs: number|null, srttMs: number|null }|null}
+   *   heartbeat: peer is pinged; lastSeenAt: any bytes received; srttMs: smoothed RTT (EWMA, 1/8 gain)
+   */
+  getPeerStats(peerId) {
+    const conn = this._peers.get(peerId);
+    if (!conn) return null;
+    return {
+      peerId,
+      outbound: conn.peerInfo.outbound,
+      secure: conn.peerInfo.secure,
+      heartbeat: this._pingIntervalMs > 0,
+      connectedAt: conn.peerInfo.connectedAt,
+      lastSeenAt: conn.lastSeenAt,
+      rttMs: conn.rttMs,
+      srttMs: conn.srttMs,
+    };
+  }
+
+  /**
+   * @returns {Object<string, object>} peerId -> getPeerStats(peerId)
+   */
+  getAllPeerStats() {
+    const out = {};
+    for (const peerId of this._peers.keys()) out[peerId] = this.getPeerStats(peerId);
+    return out;
+  }
+
+  /**
+   * Counters since init plus current connection and queue gauges (what /metrics reports).
+   * @returns {{ peers: number, connections: number, connectionsTotal: number, messagesIn: number,
+   *   messagesOut: number, bytesIn: number, bytesOut: number, handshakeFailures: { tls: number, upgrade: number,
+   *   hello: number }, undeliverable: Object<string, number>, limits: Object<string, number>, queuedFrames: number,
+   *   queuedBytes: number, bufferedBytes: number }}
+   */
+  getMetrics() {
+    const queues = { queuedFrames: 0, queuedBytes: 0, bufferedBytes: 0 };
+    for (const stats of Object.values(this.getAllQueueStats())) {
+      queues.queuedFrames += stats.queuedFrames;
+      queues.queuedBytes += stats.queuedBytes;
+      queues.bufferedBytes += stats.bufferedBytes;
+    }
+    const c = this._counters;
+    return {
+      peers: this._peers.size,
+      connections: this._conns.size,
+      connectionsTotal: c.connections,
+      ...c.io,
+      handshakeFailures: { ...c.handshakeFailures },
+      undeliverable: { ...c.undeliverable },
+      limits: { ...c.limits },
+      ...queues,
+    };
+  }
+
+  /**
+   * Resolve `to` to a connected peerId. WebSocketTransport never dials on demand:
+   * servers know their clients by peerId, clients only reach their relay (by url or peerId) and,
+   * if it runs in relay mode, peerIds behind it (whether those are online is only known on send).
+   * @param {string} to
+   * @returns {Promise<string>} remote peerId
+   */
+  async connect(to) {
+    if (!this._started) throw new Error("WebSocketTransport not started");
+    const target = String(to);
+    if (this._mode === "server") {
+      if (!this._peers.has(target)) throw new Error("Unknown peerId");
+      return target;
+    }
+    const reconnecting = this._reconnecting;
+    if (!reconnecting && !this._uplink) throw new Error("Not connected");
+    const via = this._relayTarget(target);
+    const relayPeerId = reconnecting ? await reconnecting.done : this._uplinkPeerId;
+    if (via) this._relayedPeerUp(via, true);
+    return via ?? relayPeerId;
+  }
+
+  /**
+   * HTTP endpoints (`httpEndpoints: true | { health, ready, metrics }`, off by default): plain requests on the
+   * listening port can get /healthz (200 while the process serves), /readyz (200 once started, 503 while
+   * starting or stopping) and /metrics (Prometheus text: peers, messages and bytes in/out, handshake failures
+   * by stage, relay refusals, queue depths; the same numbers as getMetrics()). Each path can be changed, or
+   * disabled with false. Everything else still gets 404.
+   */
+  _handleRequest(req, res) {
+    const endpoint = this._endpoints?.get(String(req.url ?? "/").split("?")[0]);
+    if (!endpoint) {
       res.writeHead(404);
       res.end();
+      return;
+    }
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { Allow: "GET, HEAD" });
+      res.end();
+      return;
+    }
+    let status = 200;
+    let body;
+    let type = "text/plain; charset=utf-8";
+    if (endpoint === "health") body = "ok\n";
+    else if (endpoint === "ready") {
+      // Not ready while starting or stopping: new connections would be refused or closed right away.
+      status = this._started ? 200 : 503;
+      body = this._started ? "ready\n" : "not ready\n";
+    } else {
+      body = this._formatMetrics();
+      type = "text/plain; version=0.0.4; charset=utf-8";
+    }
+    res.writeHead(status, { "Content-Type": type, "Content-Length": Buffer.byteLength(body), "Cache-Control": "no-store" });
+    res.end(req.method === "HEAD" ? undefined : body);
+  }
+
+  _formatMetrics() {
+    const m = this.getMetrics();
+    const counter = (name, help, value) => ({ name, type: "counter", help, samples: [{ value }] });
+    const gauge = (name, help, value) => ({ name, type: "gauge", help, samples: [{ value }] });
+    return formatPrometheus([
+      gauge("rez_ws_peers", "Peers connected (hello completed).", m.peers),
+      gauge("rez_ws_connections", "Open WebSocket connections, including ones still in hello.", m.connections),
+      counter("rez_ws_peer_connections_total", "Peers established since start.", m.connectionsTotal),
+      counter("rez_ws_messages_received_total", "WebSocket messages received.", m.messagesIn),
+      counter("rez_ws_messages_sent_total", "WebSocket messages sent.", m.messagesOut),
+      counter("rez_ws_received_bytes_total", "Message payload bytes received (after decompression).", m.bytesIn),
+      counter("rez_ws_sent_bytes_total", "Message payload bytes sent (before compression).", m.bytesOut),
+      {
+        name: "rez_ws_handshake_failures_total",
+        type: "counter",
+        help: "Connections that failed before the peer was established, by stage.",
+        samples: Object.entries(m.handshakeFailures).map(([stage, value]) => ({ labels: { stage }, value })),
+      },
+      {
+        name: "rez_ws_relay_undeliverable_total",
+        type: "counter",
+        help: "Relayed frames refused, by reason.",
+        samples: Object.entries(m.undeliverable).map(([reason, value]) => ({ labels: { reason }, value })),
+      },
+      {
+        name: "rez_ws_limit_trips_total",
+        type: "counter",
+        help: "Connections refused, reaped or throttled by a limit, by kind.",
+        samples: Object.entries(m.limits).map(([kind, value]) => ({ labels: { kind }, value })),
+      },
+      gauge("rez_ws_queued_frames", "Frames waiting in outbound queues.", m.queuedFrames),
+      gauge("rez_ws_queued_bytes", "Bytes waiting in outbound queues.", m.queuedBytes),
+      gauge("rez_ws_buffered_bytes", "Bytes buffered in sockets.", m.bufferedBytes),
+    ]);
+  }
+
+  /**
+   * Compression (`perMessageDeflate: true | { ... }`, off by default) negotiates permessage-deflate (RFC 7692,
+   * see PerMessageDeflate for the context takeover / window options) with peers that support it and
+   * compresses binary messages of at least `threshold` bytes. Inflated messages are bounded by
+   * `maxMessageBytes`. Connections to peers without the extension stay uncompressed.
+   */
+  _createDeflate(params, { isServer }) {
+    return new PerMessageDeflate(params, {
+      isServer,
+      threshold: this._deflateOptions.threshold,
+      level: this._deflateOptions.level,
+      maxMessageBytes: this._maxMessageBytes,
     });
+  }
 
-    this._httpServer.on("upgrade", (req, socket, head) => {
-      try {
-        if (req.url !== this._path) {
-          socket.destroy();
-          return;
-        }
-        const key = req.headers["sec-websocket-key"];
-        if (!key) throw new Error("Missing Sec-WebSocket-Key");
-        const accept = wsAccept(String(key));
-
-        socket.write(
-          [
-            "HTTP/1.1 101 Switching Protocols",
-            "Upgrade: websocket",
-            "Connection: Upgrade",
-            `Sec-WebSocket-Accept: ${accept}`,
-            "\r\n",
-          ].join("\r\n")
-        );
-
-        // Any remaining bytes belong to WS data frames
-        const conn = new WsConnection(socket, {
-          maskOutgoing: false,
-          expectMasked: true,
-          maxPayloadBytes: this._maxPayloadBytes,
-        });
+  async _startServer() {
+    const onRequest = (req, res) => {
+      // Plain HTTP (health checks, metrics) isn't held to the hello deadline; an upgrade later on the same
+      // keep-alive socket starts it again.
+      this._clearHelloDeadline(req.socket);
+      this._handleRequest(req, res);
+    };
+    if (this._listenTls) {
+      // Admission happens on the raw socket, before the TLS handshake (itself bounded by the hello deadline).
+      const tlsOptions = this._helloTimeoutMs > 0 ? { handshakeTimeout: this._helloTimeoutMs, ...this._tls } : this._tls;
+      this._httpServer = https.createServer(tlsOptions, onRequest);
+      this._httpServer.on("connection", (raw) => this._admit(raw));
+      this._httpServer.on("secureConnection", (socket) => this._startHelloDeadline(socket, false));
+    } else {
+      this._httpServer = http.createServer(onRequest);
+      this._httpServer.on("connection", (socket) => {
+        if (this._admit(socket)) this._startHelloDeadline(socket, false);
+      });
+    }
+    // Failed TLS handshakes never reach "upgrade"; surface them instead of dropping silently.
+    this._httpServer.on("tlsClientError", (err, tlsSocket) => {
+      if (this._limiter.isRefused(tlsSocket)) return; // reset by _admit, already reported
+      if (err.code === "ERR_TLS_HANDSHAKE_TIMEOUT") {
+        const remoteAddress = tlsSocket._parent?.remoteAddress ?? tlsSocket.remoteAddress ?? null;
+        this._limitTripped({ kind: "hello-timeout", remoteAddress, outbound: false });
+        return;
+      }
+      this._counters.handshakeFailures.tls += 1;
+      this.emit("error", err);
+    });
 
-        if (head?.length) socket.unshift(head);
-        this._wireWsConn(conn, { outbound: false });
-      } catch (err) {
+    this._httpServer.on("upgrade", (req, socket, head) => {
+      this._handleUpgrade(req, socket, head).then((upgraded) => {
+        if (!upgraded) this._counters.handshakeFailures.upgrade += 1;
+      }, (err) => {
+        this._counters.handshakeFailures.upgrade += 1;
         try {
           socket.destroy();
         } catch {
           // ignore
         }
         this.emit("error", err);
-      }
+      });
     });
 
     await new Promise((resolve, reject) => {
@@ -385,13 +1271,180 @@ export default class WebSocketTransport extends Transport {
     });
   }
 
-  async _startClient() {
-    const { host, port, path, href } = parseWsUrl(this._url);
+  _admit(socket) {
+    const remoteAddress = socket.remoteAddress ?? null;
+    return this._limiter.admitSocket(socket, (info) => this._limitTripped({ ...info, remoteAddress }));
+  }
+
+  /**
+   * Destroy `socket` unless its peer is established within helloTimeoutMs (default 10s, 0 disables; a no-op if
+   * already running). Inbound sockets are timed from accept (after TLS, whose handshake it also bounds), so a
+   * client stalling the upgrade request is reaped too; plain HTTP requests (httpEndpoints) aren't subject to it.
+   * Like the ConnectionLimiter's limits (`maxConnections`, `maxConnectionsPerIp`, `maxFramesPerSecond`,
+   * `maxBytesPerSecond`), it is reported as a "limit" event { kind, remoteAddress, ... } ("hello-timeout" with
+   * `outbound`, rate limits with `peerId`) and counted in getMetrics().limits.
+   */
+  _startHelloDeadline(socket, outbound) {
+    if (this._helloTimeoutMs <= 0 || this._helloTimers.has(socket)) return;
+    const remoteAddress = socket.remoteAddress ?? null;
+    const timer = setTimeout(() => {
+      this._helloTimers.delete(socket);
+      this._limitTripped({ kind: "hello-timeout", remoteAddress, outbound: !!outbound });
+      socket.destroy();
+    }, this._helloTimeoutMs);
+    timer.unref?.();
+    this._helloTimers.set(socket, timer);
+    socket.once("close", () => this._clearHelloDeadline(socket));
+  }
+
+  _clearHelloDeadline(socket) {
+    const timer = this._helloTimers.get(socket);
+    if (!timer) return;
+    clearTimeout(timer);
+    this._helloTimers.delete(socket);
+  }
+
+  _limitTripped(info) {
+    this._counters.limits[info.kind] = (this._counters.limits[info.kind] ?? 0) + 1;
+    this.emit("limit", info);
+  }
+
+  /**
+   * Server side of the opening handshake: upgrade policy, authorizeUpgrade, then 101 and the hello.
+   * Requests for another path get 404, and anything but a version 13 websocket upgrade gets 426.
+   * `authorizeUpgrade(req, info)` (may be async) then decides before protocols are switched; `info` is
+   * { path, query (URLSearchParams), origin, protocols (requested subprotocols), token (from
+   * "Authorization: Bearer" or the `access_token` query parameter), remoteAddress, secure }. It returns:
+   * - true / undefined: accept; `{ protocol }` accepts and selects one of `info.protocols`
+   * - false: 403; `{ status, message?, headers? }`: reject with that status (401 adds WWW-Authenticate)
+   * The selected subprotocol is reported as `protocol` on "connection".
+   * @returns {Promise<boolean>} false if the request was refused (or the client left meanwhile)
+   */
+  async _handleUpgrade(req, socket, head) {
+    let url;
+    try {
+      url = new URL(req.url, "http://localhost");
+    } catch {
+      rejectUpgrade(socket, 400);
+      return false;
+    }
+    if (url.pathname !== this._path) {
+      rejectUpgrade(socket, 404);
+      return false;
+    }
+    if (String(req.headers.upgrade).toLowerCase() !== "websocket" || req.headers["sec-websocket-version"] !== "13") {
+      rejectUpgrade(socket, 426, { headers: { Upgrade: "websocket", "Sec-WebSocket-Version": "13" } });
+      return false;
+    }
+    const key = req.headers["sec-websocket-key"];
+    if (!key) throw new Error("Missing Sec-WebSocket-Key");
+
+    const protocols = parseTokenList(req.headers["sec-websocket-protocol"]);
+    let protocol = null;
+    if (this._authorizeUpgrade) {
+      const bearer = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization ?? "");
+      const info = {
+        path: url.pathname,
+        query: url.searchParams,
+        origin: req.headers.origin ?? null,
+        protocols,
+        token: bearer ? bearer[1] : url.searchParams.get("access_token"),
+        remoteAddress: socket.remoteAddress ?? null,
+        secure: !!socket.encrypted,
+      };
+      let verdict;
+      try {
+        verdict = await this._authorizeUpgrade(req, info);
+      } catch (err) {
+        rejectUpgrade(socket, 500);
+        throw new Error(`WebSocketTransport authorizeUpgrade failed: ${err.message}`);
+      }
+      if (verdict === false) {
+        rejectUpgrade(socket, 403);
+        return false;
+      }
+      if (verdict?.status != null) {
+        const headers = { ...verdict.headers };
+        if (verdict.status === 401 && !Object.keys(headers).some((k) => k.toLowerCase() === "www-authenticate")) {
+          headers["WWW-Authenticate"] = "Bearer";
+        }
+        rejectUpgrade(socket, verdict.status, { message: verdict.message, headers });
+        return false;
+      }
+      protocol = verdict?.protocol ?? null;
+      if (protocol != null && !protocols.includes(protocol)) {
+        rejectUpgrade(socket, 500);
+        throw new Error(`WebSocketTransport authorizeUpgrade selected a subprotocol the client did not offer: ${protocol}`);
+      }
+    }
+    // The hook may have been slow; the client or the transport may be gone by now.
+    if (socket.destroyed || !this._started) {
+      socket.destroy();
+      return false;
+    }
+
+    const accept = wsAccept(String(key));
+    const deflate = this._deflateOptions
+      ? PerMessageDeflate.accept(req.headers["sec-websocket-extensions"], this._deflateOptions)
+      : null;
+
+    socket.write(
+      [
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        `Sec-WebSocket-Accept: ${accept}`,
+        ...(protocol != null ? [`Sec-WebSocket-Protocol: ${protocol}`] : []),
+        ...(deflate ? [`Sec-WebSocket-Extensions: ${deflate.response}`] : []),
+        "\r\n",
+      ].join("\r\n")
+    );
+
+    // Any remaining bytes belong to WS data frames
+    const conn = new WsConnection(socket, {
+      maskOutgoing: false,
+      expectMasked: true,
+      maxPayloadBytes: this._maxPayloadBytes,
+      queue: this._queueOptions,
+      fragmentBytes: this._fragmentBytes,
+      maxMessageBytes: this._maxMessageBytes,
+      reassembly: this._reassembly,
+      closeTimeoutMs: this._closeTimeoutMs,
+      io: this._counters.io,
+      deflate: deflate ? this._createDeflate(deflate.params, { isServer: true }) : null,
+    });
+
+    this._wireWsConn(conn, socket, { outbound: false, secure: !!socket.encrypted, protocol });
+    if (head?.length) socket.unshift(head);
+    return true;
+  }
+
+  /**
+   * Upgrade a connection to `url` and run the hello on it. `wss://` urls use tls.connect with `options.tls`
+   * (ca, key/cert for client certificates, servername, rejectUnauthorized, ...); `pinnedCertificate` (a sha256
+   * fingerprint, or a list of them) additionally requires the relay certificate to match, so with a pin a
+   * self-signed relay works without a CA by setting `tls.rejectUnauthorized: false`.
+   * `authToken` is sent as a bearer token and `protocols` (a string or a list) are offered; a relay answering
+   * with a protocol that wasn't offered fails the connection.
+   * @param {object|null} [reconnecting] - reconnect state this attempt belongs to; it is dropped if that is abandoned
+   */
+  async _startClient(reconnecting = null) {
+    const { host, port, path, secure, hostHeader, href } = parseWsUrl(this._url);
 
     const secKey = base64(crypto.randomBytes(16));
     const expectedAccept = wsAccept(secKey);
 
-    const socket = net.connect({ host, port });
+    const socket = secure
+      ? tls.connect({ servername: net.isIP(host) ? undefined : host, ...this._tls, host, port })
+      : net.connect({ host, port });
+    if (secure && this._pins) {
+      socket.once("secureConnect", () => {
+        const fp = socket.getPeerCertificate()?.fingerprint256;
+        if (!fp || !this._pins.has(normalizeFingerprint(fp))) {
+          socket.destroy(new Error("WebSocketTransport certificate pin mismatch"));
+        }
+      });
+    }
 
     const handshakePromise = new Promise((resolve, reject) => {
       let buf = Buffer.alloc(0);
@@ -418,9 +1471,9 @@ export default class WebSocketTransport extends Transport {
         cleanup();
 
         const lines = head.split("\r\n");
-        const status = lines[0] || "";
-        if (!status.includes("101")) {
-          reject(new Error("WebSocket handshake failed"));
+        const status = /^HTTP\/1\.[01] (\d{3})\b ?(.*)$/.exec(lines[0] || "");
+        if (status?.[1] !== "101") {
+          reject(new Error(status ? `WebSocket handshake failed: ${status[1]} ${status[2]}`.trim() : "WebSocket handshake failed"));
           return;
         }
 
@@ -435,8 +1488,20 @@ export default class WebSocketTransport extends Transport {
           reject(new Error("WebSocket accept mismatch"));
           return;
         }
+        const protocol = headers.get("sec-websocket-protocol") ?? null;
+        if (protocol != null && !this._protocols.includes(protocol)) {
+          reject(new Error("WebSocket subprotocol mismatch"));
+          return;
+        }
+        let deflateParams;
+        try {
+          deflateParams = PerMessageDeflate.fromResponse(headers.get("sec-websocket-extensions"), this._deflateOptions);
+        } catch (err) {
+          reject(new Error(`WebSocket ${err.message}`));
+          return;
+        }
 
-        resolve({ rest });
+        resolve({ rest, deflateParams, protocol });
       };
 
       socket.on("data", onData);
@@ -447,107 +1512,538 @@ export default class WebSocketTransport extends Transport {
     socket.write(
       [
         `GET ${path} HTTP/1.1`,
-        `Host: ${host}:${port}`,
+        `Host: ${hostHeader}`,
         "Upgrade: websocket",
         "Connection: Upgrade",
         `Sec-WebSocket-Key: ${secKey}`,
         "Sec-WebSocket-Version: 13",
+        ...(this._protocols.length ? [`Sec-WebSocket-Protocol: ${this._protocols.join(", ")}`] : []),
+        ...(this._authToken != null ? [`Authorization: Bearer ${this._authToken}`] : []),
+        ...(this._deflateOptions ? [`Sec-WebSocket-Extensions: ${PerMessageDeflate.offer(this._deflateOptions)}`] : []),
         "\r\n",
       ].join("\r\n")
     );
 
-    const handshake = await handshakePromise;
+    let handshake;
+    try {
+      handshake = await handshakePromise;
+    } catch (err) {
+      this._counters.handshakeFailures.upgrade += 1;
+      socket.destroy();
+      throw err;
+    }
+    if (!this._started || (reconnecting && this._reconnecting !== reconnecting)) {
+      socket.destroy();
+      throw new Error(this._started ? "WebSocketTransport reconnect cancelled" : "WebSocketTransport stopped");
+    }
     const conn = new WsConnection(socket, {
       maskOutgoing: true,
       expectMasked: false,
       maxPayloadBytes: this._maxPayloadBytes,
+      queue: this._queueOptions,
+      fragmentBytes: this._fragmentBytes,
+      maxMessageBytes: this._maxMessageBytes,
+      reassembly: this._reassembly,
+      closeTimeoutMs: this._closeTimeoutMs,
+      io: this._counters.io,
+      deflate: handshake.deflateParams ? this._createDeflate(handshake.deflateParams, { isServer: false }) : null,
     });
 
     this._uplink = conn;
 
     // Wait until hello completes and peerId verified
     const waitHello = new Promise((resolve, reject) => {
-      const onConn = ({ peerId, outbound }) => {
-        if (!outbound) return;
+      const settle = (err) => {
         this.off("connection", onConn);
         this.off("error", onErr);
-        this._uplinkPeerId = peerId;
-        resolve();
+        if (err) reject(err);
+        else resolve();
       };
-      const onErr = (err) => {
-        this.off("connection", onConn);
-        this.off("error", onErr);
-        reject(err);
+      const onConn = ({ outbound }) => {
+        if (outbound) settle();
       };
+      const onErr = (err) => settle(err);
       this.on("connection", onConn);
       this.on("error", onErr);
+      conn.closed().then(() => settle(new Error("WebSocketTransport connection closed during hello")));
     });
 
-    this._wireWsConn(conn, { outbound: true, uplinkHref: href });
+    this._wireWsConn(conn, socket, { outbound: true, secure, uplinkHref: href, protocol: handshake.protocol });
     if (handshake.rest?.length) socket.unshift(handshake.rest);
     await waitHello;
   }
 
-  _wireWsConn(conn, { outbound, uplinkHref = null }) {
+  _onEnvelope(conn, from, bytes) {
+    const env = decodeEnvelope(bytes);
+    if (!env) {
+      this.emit("error", new Error("WebSocketTransport invalid relay envelope"));
+      return;
+    }
+    if (this._mode === "client") {
+      if (env.type === RELAY_DATA) {
+        this._relayedPeerUp(env.peerId, false);
+        this.emit("frame", { from: env.peerId, bytes: env.body });
+      } else if (env.type === RELAY_UNDELIVERABLE) {
+        const reason = decodeUtf8(env.body) ?? "";
+        this.emit("undeliverable", { peerId: env.peerId, reason });
+        if (RELAY_PEER_GONE.has(reason)) this._relayedPeerDown(env.peerId, reason);
+      } else if (env.type === RELAY_STORED) {
+        const stored = decodeStoredBody(env.body);
+        if (!stored) {
+          this.emit("error", new Error("WebSocketTransport invalid relay envelope"));
+          return;
+        }
+        this._relayedPeerUp(env.peerId, false);
+        this.emit("frame", { from: env.peerId, bytes: stored.bytes, storedAt: stored.storedAt });
+        conn.sendBinary(encodeEnvelope(RELAY_ACK, stored.id, new Uint8Array(0))).catch(() => {});
+      }
+      return;
+    }
+    if (env.type === RELAY_ACK) {
+      this._mailbox?.ack(from, env.peerId).catch((err) => {
+        this.emit("error", new Error(`WebSocketTransport mailbox ack failed: ${err.message}`));
+      });
+      return;
+    }
+    if (env.type !== RELAY_DATA) return;
+    if (env.peerId === this._localId) this.emit("frame", { from, bytes: env.body });
+    else this._forward(conn, from, env.peerId, env.body);
+  }
+
+  /**
+   * Client mode: report a peer behind the relay as connected, the first time it is dialed or heard from, so
+   * layers that track connections work across the relay (SecureSessionTransport, so the relay can neither read
+   * nor change payloads; TransportManager): "connection" { peerId, outbound, secure: false, relayed: true, via }.
+   * It is reported as "disconnection" { peerId, outbound, relayed: true, code: null, reason, clean } when the
+   * relay reports it unreachable ("unknown-peer", "not-relay-capable" or "mailbox-full"), on disconnect(peerId)
+   * ("closed"), when the relay itself is lost ("relay-lost") or when it goes quiet (see _expireRelayedPeers()).
+   * @param {string} peerId
+   * @param {boolean} outbound - dialed with connect(), rather than heard from
+   */
+  _relayedPeerUp(peerId, outbound) {
+    if (peerId === this._uplinkPeerId || peerId === this._localId) return;
+    const known = this._relayed.get(peerId);
+    if (known) {
+      if (!outbound) known.lastSeenAt = Date.now();
+      return;
+    }
+    this._relayed.set(peerId, { outbound, lastSeenAt: Date.now() });
+    this.emit("connection", { peerId, outbound, secure: false, relayed: true, via: this._uplinkPeerId });
+  }
+
+  _relayedPeerDown(peerId, reason) {
+    const known = this._relayed.get(peerId);
+    if (!known) return;
+    this._relayed.delete(peerId);
+    const clean = reason === "closed";
+    this.emit("disconnection", { peerId, outbound: known.outbound, relayed: true, code: null, reason, clean });
+  }
+
+  /**
+   * Nothing tells a client that a peer behind the relay went away (the relay may keep its frames in a
+   * mailbox, or it may just stop answering): one not heard from for relayedPeerIdleMs (default 5 min, 0
+   * disables) is dropped with reason "idle".
+   */
+  _expireRelayedPeers() {
+    const cutoff = Date.now() - this._relayedIdleMs;
+    for (const [peerId, known] of [...this._relayed]) {
+      if (known.lastSeenAt <= cutoff) this._relayedPeerDown(peerId, "idle");
+    }
+  }
+
+  _relayLost() {
+    for (const peerId of [...this._relayed.keys()]) this._relayedPeerDown(peerId, "relay-lost");
+  }
+
+  /**
+   * Relay mode (server, `relay: true`): clients that support it (both hellos list caps:["relay"]) wrap every
+   * message in an envelope naming the other end, so two clients that can't reach each other can talk through
+   * the relay. A client's send(peerId) goes to the relay addressed to `peerId`, and the relay forwards it to
+   * that client, which sees a "frame" from the original sender (`from` is filled in from the sender's
+   * connection). "connection" reports `relay: true` on connections that use envelopes; clients of a relay
+   * without this mode, and relays talking to old clients, exchange plain messages.
+   * Frames that can't be forwarded are answered with an undeliverable envelope, emitted by the client as
+   * "undeliverable" { peerId, reason } with reason "unknown-peer", "not-relay-capable", "rate-limited",
+   * "queue-full" or "mailbox-full". Forwarding is limited per sender to `relayMaxFramesPerSecond` frames and
+   * `relayMaxBytesPerSecond` bytes (token buckets holding one second's worth). With a mailbox, frames for
+   * peers that aren't connected are stored instead of refused (see _replayMailbox()).
+   */
+  _forward(conn, from, to, body) {
+    const undeliverable = (reason) => {
+      this._counters.undeliverable[reason] = (this._counters.undeliverable[reason] ?? 0) + 1;
+      const reply = encodeEnvelope(RELAY_UNDELIVERABLE, to, new TextEncoder().encode(reason));
+      conn.sendBinary(reply).catch(() => {});
+    };
+    if (!this._takeRelayBudget(conn, body.length)) {
+      undeliverable("rate-limited");
+      return;
+    }
+    const offline = () => {
+      if (!this._mailbox) {
+        undeliverable("unknown-peer");
+        return;
+      }
+      this._storing.set(to, (this._storing.get(to) ?? 0) + 1);
+      this._mailbox
+        .put(to, from, body)
+        .then(
+          (result) => {
+            if (result === "full") undeliverable("mailbox-full");
+          },
+          (err) => {
+            this.emit("error", new Error(`WebSocketTransport mailbox store failed: ${err.message}`));
+            undeliverable("unknown-peer");
+          }
+        )
+        .finally(() => {
+          const left = this._storing.get(to) - 1;
+          if (left > 0) {
+            this._storing.set(to, left);
+            return;
+          }
+          this._storing.delete(to);
+          this._kickMailbox(to);
+        });
+    };
+    const target = this._peers.get(to);
+    // While a peer's mailbox is replayed, or frames for it are still being stored, newer frames for it
+    // wait behind the stored ones.
+    if (!target || this._replaying.has(to) || this._storing.has(to)) {
+      offline();
+      return;
+    }
+    if (!target.relay) {
+      undeliverable("not-relay-capable");
+      return;
+    }
+    target.sendBinary(encodeEnvelope(RELAY_DATA, from, body)).then(
+      (accepted) => {
+        if (accepted) return;
+        this.emit("dropped", { peerId: to, bytes: body.length });
+        undeliverable("queue-full");
+      },
+      // The target's queue is full, or its connection is closing.
+      (err) => (err.message === "send queue full" ? undeliverable("queue-full") : offline())
+    );
+  }
+
+  /**
+   * Make sure stored frames for `peerId` get replayed if it is connected (a store may finish after it connected).
+   * Waits for stores in flight: one of them may get an older id than frames already listed, and the last
+   * one to finish kicks again.
+   */
+  _kickMailbox(peerId) {
+    if (this._storing.has(peerId)) return;
+    const replay = this._replaying.get(peerId);
+    if (replay) {
+      replay.again = true;
+      return;
+    }
+    const conn = this._peers.get(peerId);
+    if (conn?.relay && !conn.closing) this._replayMailbox(conn, peerId);
+  }
+
+  /**
+   * With `mailbox: { storage, ttlMs, sweepIntervalMs, ...caps }` (per recipient, per sender and in total, see
+   * OfflineMailbox; requires `crypto` + `identity`, so only the recipient itself can claim them) frames for
+   * peers that aren't connected are kept on that StorageProvider and replayed in order once the peer connects
+   * and completes its hello (frames for it that arrive meanwhile queue up behind them). The client emits them
+   * as "frame" with `storedAt` and acknowledges each one after its listeners ran; unacknowledged ones are
+   * replayed on the next connection, so a peer that drops mid-replay may see a frame twice.
+   */
+  async _replayMailbox(conn, peerId) {
+    const replay = { again: true };
+    this._replaying.set(peerId, replay);
+    try {
+      while (replay.again && this._peers.get(peerId) === conn && !this._storing.has(peerId)) {
+        replay.again = false;
+        // Resume after what this connection was already sent; acks for those may still be on the way.
+        const messages = await this._mailbox.list(peerId, { afterId: conn.mailboxSentId });
+        for (const message of messages) {
+          if (this._peers.get(peerId) !== conn) return;
+          await conn.sendBinary(encodeEnvelope(RELAY_STORED, message.from, encodeStoredBody(message)));
+          conn.mailboxSentId = message.id;
+        }
+        if (messages.length) replay.again = true;
+      }
+    } catch (err) {
+      // Whatever wasn't acknowledged stays stored for the next connection.
+      if (this._peers.get(peerId) === conn && !conn.closing) {
+        this.emit("error", new Error(`WebSocketTransport mailbox replay failed: ${err.message}`));
+      }
+    } finally {
+      if (this._replaying.get(peerId) === replay) this._replaying.delete(peerId);
+    }
+  }
+
+  /**
+   * Token buckets (one second's worth) for frames a client has the relay forward. Bytes may go into debt,
+   * so a single message larger than the byte rate still passes once the bucket is full.
+   */
+  _takeRelayBudget(conn, bytes) {
+    const now = Date.now();
+    const maxFrames = this._relayMaxFramesPerSecond;
+    const maxBytes = this._relayMaxBytesPerSecond;
+    const b = (conn.relayBudget ??= { frames: maxFrames, bytes: maxBytes, at: now });
+    const elapsed = (now - b.at) / 1000;
+    b.at = now;
+    b.frames = Math.min(maxFrames, b.frames + elapsed * maxFrames);
+    b.bytes = Math.min(maxBytes, b.bytes + elapsed * maxBytes);
+    if (b.frames < 1 || b.bytes <= 0) return false;
+    b.frames -= 1;
+    b.bytes -= bytes;
+    return true;
+  }
+
+  /**
+   * Reconnect (client mode, `reconnect: true`): when an established uplink drops, `url` is redialled with
+   * jittered exponential backoff (`reconnectBaseDelayMs`..`reconnectMaxDelayMs`), re-running the upgrade and
+   * hello (so `expectedPeerId` is checked again) instead of emitting "disconnection".
+   * - emits "reconnecting" { peerId, url, attempt, delayMs, error } before each attempt (`error`: why the
+   *   previous attempt failed, if it did) and "reconnected" { peerId, attempts } after the "connection" event
+   * - send() to the relay meanwhile queues the message (up to `reconnectQueueMaxBytes`); the queue is flushed
+   *   in order before anything else is sent. connect() waits for the reconnect
+   * - after `reconnectMaxAttempts` failed attempts, or disconnect() of the relay, the queue is dropped and
+   *   "disconnection" is emitted with the status the uplink was lost with. A relay that comes back under a
+   *   different peerId is reported as "disconnection" of the old one followed by "connection"
+   */
+  _startReconnect(lost, relay) {
+    const state = {
+      peerId: lost.peerId,
+      relay, // the lost relay forwarded to other peers, so sends to them are queued too
+      lost, // the "disconnection" info reported if the relay doesn't come back
+      attempt: 0,
+      timer: null,
+      queue: [],
+      queuedBytes: 0,
+      done: null,
+      resolve: null,
+      reject: null,
+    };
+    state.done = new Promise((resolve, reject) => {
+      state.resolve = resolve;
+      state.reject = reject;
+    });
+    // Only connect() callers observe the outcome; don't surface it as unhandled otherwise.
+    state.done.catch(() => {});
+    this._reconnecting = state;
+    this._scheduleReconnect(state, null);
+  }
+
+  _scheduleReconnect(state, lastError) {
+    if (state.attempt >= this._reconnectMaxAttempts) {
+      this._abandonReconnect(new Error("WebSocketTransport reconnect attempts exhausted"));
+      return;
+    }
+    const exp = Math.min(this._reconnectMaxDelayMs, this._reconnectBaseDelayMs * 2 ** state.attempt);
+    // Equal jitter: half fixed, half random, so clients that dropped together don't redial in lockstep.
+    const delayMs = Math.round(exp / 2 + Math.random() * (exp / 2));
+    state.attempt += 1;
+    this.emit("reconnecting", {
+      peerId: state.peerId,
+      url: this._url,
+      attempt: state.attempt,
+      delayMs,
+      error: lastError?.message ?? null,
+    });
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      if (this._reconnecting !== state) return;
+      // Failed attempts are expected while the relay is down: they are reported with the next
+      // "reconnecting" event rather than as "error" (hello failures still emit "error").
+      this._startClient(state).catch((err) => {
+        if (this._reconnecting !== state) return;
+        this._scheduleReconnect(state, err);
+      });
+    }, delayMs);
+  }
+
+  /**
+   * Called once the uplink is (re-)established on `conn`; flushes messages queued while reconnecting.
+   * @returns {object|null} the finished reconnect state, if the relay was reconnecting
+   */
+  _finishReconnect(conn, peerId) {
+    const state = this._reconnecting;
+    if (!state) return null;
+    this._reconnecting = null;
+    clearTimeout(state.timer);
+    if (peerId !== state.peerId) {
+      this._relayLost();
+      this.emit("disconnection", state.lost);
+    }
+    for (const { to, bytes } of state.queue) {
+      this._sendUplink(conn, to, bytes).catch((err) => this.emit("error", err));
+    }
+    state.queue = [];
+    state.resolve(peerId);
+    return state;
+  }
+
+  _abandonReconnect(err, { emit = true } = {}) {
+    const state = this._reconnecting;
+    if (!state) return;
+    this._reconnecting = null;
+    clearTimeout(state.timer);
+    // An attempt may be mid-hello on the new uplink.
+    const attempt = this._uplink;
+    this._uplink = null;
+    attempt?.close(CLOSE_GOING_AWAY);
+    state.queue = [];
+    state.reject(err);
+    if (!emit) return;
+    this._relayLost();
+    this.emit("disconnection", state.lost);
+  }
+
+  /**
+   * Run the hello on an upgraded connection and route its messages once the peer is established. Messages
+   * that arrive before the remote hello is verified are held up to `maxMessageBytes`; a peer sending more
+   * than that before it is established is dropped. Without `crypto` + `identity` a client naming a connected
+   * peerId waits (within `helloTimeoutMs`) for that connection to end instead of taking it over.
+   */
+  _wireWsConn(conn, socket, { outbound, secure = false, uplinkHref = null, protocol = null }) {
+    // Clients always offer relay envelopes; servers only in relay mode.
+    const session = this._handshake.createSession(outbound || this._relay ? { caps: ["relay"] } : {});
     let remotePeerId = null;
     let closed = false;
+    // Messages that arrive while the (possibly async) handshake runs are held here,
+    // so nothing from a peer is emitted before it is established.
+    const pending = [];
+    let pendingBytes = 0;
+    let pumping = false;
+    this._conns.add(conn);
+
+    this._startHelloDeadline(socket, outbound);
+    const remoteAddress = socket.remoteAddress ?? null;
+    const throttle = this._limiter.throttle(socket, (info) => {
+      this._limitTripped({ ...info, remoteAddress, peerId: remotePeerId });
+    });
+    if (throttle) socket.on("data", (chunk) => throttle.bytes(chunk.length));
 
-    const cleanup = () => {
+    const cleanup = ({ code, reason, clean }) => {
       if (closed) return;
       closed = true;
-      if (remotePeerId && this._peers.get(remotePeerId) === conn) {
-        this._peers.delete(remotePeerId);
-        this.emit("disconnection", { peerId: remotePeerId, outbound: !!outbound });
-      }
-      if (outbound && this._uplink === conn) {
+      this._clearHelloDeadline(socket);
+      throttle?.close();
+      pending.length = 0;
+      pendingBytes = 0;
+      this._conns.delete(conn);
+      const lostUplink = outbound && this._uplink === conn;
+      if (lostUplink) {
         this._uplink = null;
         this._uplinkPeerId = null;
       }
+      if (remotePeerId && this._peers.get(remotePeerId) === conn) {
+        this._peers.delete(remotePeerId);
+        const info = { peerId: remotePeerId, outbound: !!outbound, code, reason, clean };
+        if (lostUplink && this._reconnect && this._started) {
+          this._startReconnect(info, conn.relay);
+          return;
+        }
+        // A client's only connection is its relay.
+        if (outbound) this._relayLost();
+        this.emit("disconnection", info);
+      }
     };
 
-    conn.onClose(cleanup);
-    conn.onError((err) => this.emit("error", err));
+    const fail = (err) => {
+      if (!remotePeerId) this._counters.handshakeFailures.hello += 1;
+      this.emit("error", err);
+      pending.length = 0;
+      pendingBytes = 0;
+      conn.close(CLOSE_POLICY_VIOLATION, err.message);
+    };
 
-    conn.onMessage(({ opcode, text, bytes }) => {
-      if (!remotePeerId) {
-        if (opcode !== 1) {
-          this.emit("error", new Error("WebSocketTransport expected hello text frame"));
-          conn.close();
-          return;
-        }
-        let obj;
-        try {
-          obj = JSON.parse(text);
-        } catch {
-          this.emit("error", new Error("WebSocketTransport invalid hello JSON"));
-          conn.close();
-          return;
-        }
-        if (!obj || obj.t !== "hello" || typeof obj.peerId !== "string" || !obj.peerId) {
-          this.emit("error", new Error("WebSocketTransport invalid hello fields"));
-          conn.close();
-          return;
-        }
+    const handshakeStep = async ({ opcode, text }) => {
+      if (opcode !== 1) throw new Error("WebSocketTransport expected hello text frame");
+      let obj;
+      try {
+        obj = JSON.parse(text);
+      } catch {
+        throw new Error("WebSocketTransport invalid hello JSON");
+      }
+      let result;
+      try {
+        result = await session.receive(obj);
+      } catch (err) {
+        throw new Error(`WebSocketTransport ${err.message}`);
+      }
+      if (closed || !this._started) return;
+      if (result.reply) conn.sendText(JSON.stringify(result.reply));
+      if (!result.peer) return;
 
-        remotePeerId = obj.peerId;
+      const { peerId, algorithmId, publicKey, hello } = result.peer;
+      if (outbound && this._expectedPeerId && peerId !== this._expectedPeerId) {
+        throw new Error("WebSocketTransport peerId mismatch");
+      }
 
-        if (outbound && this._expectedPeerId && remotePeerId !== this._expectedPeerId) {
-          this.emit("error", new Error("WebSocketTransport peerId mismatch"));
-          conn.close();
-          return;
+      // An unauthenticated inbound hello proves nothing, so it doesn't take over a connected peer: it waits, with
+      // the hello deadline still running, for that connection to end first.
+      let existing = this._peers.get(peerId);
+      while (existing && !outbound && !publicKey) {
+        await existing.closed();
+        if (closed || !this._started) return;
+        existing = this._peers.get(peerId);
+      }
+      remotePeerId = peerId;
+      this._clearHelloDeadline(socket);
+      this._peers.set(remotePeerId, conn);
+      conn.peerInfo = { outbound: !!outbound, secure, connectedAt: Date.now() };
+      conn.startKeepalive(this._pingIntervalMs, this._pongTimeoutMs);
+      this._counters.connections += 1;
+      const caps = Array.isArray(hello.caps) ? hello.caps : [];
+      conn.relay = caps.includes("relay") && (!!outbound || this._relay);
+      if (outbound) this._uplinkPeerId = peerId;
+      const resumed = outbound ? this._finishReconnect(conn, peerId) : null;
+      const info = { peerId, outbound: !!outbound, secure, url: uplinkHref, protocol, relay: conn.relay };
+      if (publicKey) Object.assign(info, { authenticated: true, algorithmId, publicKey });
+      this.emit("connection", info);
+      if (resumed) this.emit("reconnected", { peerId, attempts: resumed.attempt });
+      if (!outbound && conn.relay && this._mailbox) this._kickMailbox(peerId);
+    };
+
+    const deliver = ({ opcode, bytes }) => {
+      if (opcode !== 2) return;
+      if (conn.relay) this._onEnvelope(conn, remotePeerId, bytes);
+      else this.emit("frame", { from: remotePeerId, bytes });
+    };
+
+    const pump = async () => {
+      if (pumping) return;
+      pumping = true;
+      try {
+        while (pending.length && !closed) {
+          const msg = pending.shift();
+          pendingBytes -= msg.bytes.length;
+          if (remotePeerId) deliver(msg);
+          else await handshakeStep(msg);
         }
+      } catch (err) {
+        fail(err);
+      } finally {
+        pumping = false;
+      }
+    };
 
-        this._peers.set(remotePeerId, conn);
-        this.emit("connection", { peerId: remotePeerId, outbound: !!outbound, url: uplinkHref });
+    conn.onClose(cleanup);
+    conn.onError((err) => this.emit("error", err));
+
+    conn.onMessage((msg) => {
+      throttle?.frame();
+      if (remotePeerId && !pumping && !pending.length) {
+        deliver(msg);
         return;
       }
-
-      if (opcode !== 2) return;
-      this.emit("frame", { from: remotePeerId, bytes });
+      pending.push(msg);
+      pendingBytes += msg.bytes.length;
+      if (pendingBytes > this._maxMessageBytes) {
+        fail(new Error("WebSocketTransport too much data before hello"));
+        return;
+      }
+      pump();
     });
 
     // Send hello after handlers are wired (avoids dropping buffered server hello on client start)
-    const helloMsg = JSON.stringify({ t: "hello", peerId: this._localId });
-    conn.sendText(helloMsg);
+    conn.sendText(JSON.stringify(session.hello()));
   }
 }
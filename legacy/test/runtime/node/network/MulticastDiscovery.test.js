@@ -0,0 +1,191 @@
+/**
+ * MulticastDiscovery with LoopbackTransports: which announcements are believed (signature, ts replay, the
+ * addresses a sender may name) and auto-dialing what was discovered. Crafted announcements are sent unicast
+ * from 127.0.0.1 to the discovery port; the end-to-end test uses real multicast on the local host.
+ *
+ *   node --test legacy/test/runtime/node/network/
+ */
+import dgram from "node:dgram";
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import NodeCryptoProvider from "../../../../src/runtime/node/crypto/NodeCryptoProvider.js";
+import MulticastDiscovery from "../../../../src/runtime/node/network/MulticastDiscovery.js";
+import HelloHandshake from "../../../../src/runtime/node/network/transports/HelloHandshake.js";
+import LoopbackNetwork from "../../../../src/runtime/node/network/transports/LoopbackNetwork.js";
+import LoopbackTransport from "../../../../src/runtime/node/network/transports/LoopbackTransport.js";
+
+const cryptoProvider = new NodeCryptoProvider();
+
+async function waitFor(check) {
+  for (let i = 0; i < 300; i++) {
+    if (check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.fail("timed out");
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function createIdentity() {
+  const identity = { algorithmId: "ed25519", ...(await cryptoProvider.generateSigningKeyPair("ed25519")) };
+  const peerId = await HelloHandshake.derivePeerId(cryptoProvider, identity.algorithmId, identity.publicKey);
+  return { identity, peerId };
+}
+
+/** A free UDP port, so each test gets its own discovery group. */
+async function freePort() {
+  const socket = dgram.createSocket("udp4");
+  await new Promise((resolve) => socket.bind(0, "127.0.0.1", resolve));
+  const { port } = socket.address();
+  await new Promise((resolve) => socket.close(resolve));
+  return port;
+}
+
+/** An announcement as MulticastDiscovery sends it, signed unless `identity` is null. */
+async function announcement({ identity, peerId, ts = Date.now(), bye = false, addresses = [] }) {
+  const msg = { t: "rez-announce", peerId, ts, addresses };
+  if (bye) msg.bye = true;
+  if (identity) {
+    const transcript = `rez-announce/1\n${peerId}\n${ts}\n${bye ? "bye" : "hello"}\n${addresses.join("\n")}`;
+    const sig = await cryptoProvider.sign(Buffer.from(transcript, "utf8"), identity.privateKey, identity.algorithmId);
+    Object.assign(msg, {
+      alg: identity.algorithmId,
+      publicKey: Buffer.from(identity.publicKey).toString("base64url"),
+      sig: Buffer.from(sig).toString("base64url"),
+    });
+  }
+  return msg;
+}
+
+describe("MulticastDiscovery", () => {
+  const cleanups = [];
+
+  afterEach(async () => {
+    for (const cleanup of cleanups.splice(0).reverse()) await cleanup();
+  });
+
+  /** A discovery node over a started LoopbackTransport with its own identity, recording what it reports. */
+  async function createNode(network, port, options = {}) {
+    const { identity } = await createIdentity();
+    const transport = new LoopbackTransport();
+    await transport.init({ network, crypto: cryptoProvider, identity, address: options.address });
+    await transport.start();
+    const discovery = new MulticastDiscovery(transport, { port, crypto: cryptoProvider, identity, ...options });
+    const node = { transport, discovery, id: transport.getLocalId(), peers: [], expired: [], errors: [] };
+    discovery.on("peer", (peer) => node.peers.push(peer));
+    discovery.on("expired", (info) => node.expired.push(info));
+    discovery.on("error", (err) => node.errors.push(err));
+    await discovery.start();
+    cleanups.push(async () => {
+      await discovery.stop();
+      await transport.stop();
+    });
+    return node;
+  }
+
+  /** A listening node and a function sending it announcements from 127.0.0.1. */
+  async function listener(options = {}) {
+    const port = await freePort();
+    const node = await createNode(new LoopbackNetwork({ seed: 31 }), port, options);
+    const socket = dgram.createSocket("udp4");
+    cleanups.push(() => new Promise((resolve) => socket.close(resolve)));
+    const deliver = async (msg) => {
+      const bytes = Buffer.from(JSON.stringify(msg), "utf8");
+      await new Promise((resolve, reject) => socket.send(bytes, port, "127.0.0.1", (err) => (err ? reject(err) : resolve())));
+      await sleep(30); // verification is async; keep announcements in order
+    };
+    return { node, deliver };
+  }
+
+  test("only believes announcements signed by the key their peerId commits to", async () => {
+    const { node, deliver } = await listener();
+    const b = await createIdentity();
+    const c = await createIdentity();
+    const addresses = ["tcp://127.0.0.1:4000"];
+
+    const tampered = await announcement({ ...b, addresses });
+    tampered.addresses = ["tcp://127.0.0.1:6666"];
+    await deliver(tampered);
+    // b's key and signature, but c's peerId.
+    const borrowed = await announcement({ identity: b.identity, peerId: c.peerId, addresses });
+    await deliver(borrowed);
+    await deliver(await announcement({ identity: null, peerId: b.peerId, addresses }));
+    assert.deepEqual(node.peers, []);
+
+    await deliver(await announcement({ ...b, addresses }));
+    await waitFor(() => node.peers.length === 1);
+    assert.deepEqual(node.peers, [{ peerId: b.peerId, addresses, authenticated: true }]);
+    assert.deepEqual(
+      node.discovery.getPeers().map((peer) => peer.peerId),
+      [b.peerId]
+    );
+  });
+
+  test("ignores replayed, out of order and stale announcements", async () => {
+    const { node, deliver } = await listener({ maxClockSkewMs: 60000 });
+    const b = await createIdentity();
+    const now = Date.now();
+    const current = await announcement({ ...b, ts: now, addresses: ["tcp://127.0.0.1:4000"] });
+
+    await deliver(await announcement({ ...b, ts: now - 120000, addresses: ["tcp://127.0.0.1:1"] }));
+    assert.deepEqual(node.peers, []);
+
+    await deliver(current);
+    await deliver(await announcement({ ...b, ts: now - 1, addresses: ["tcp://127.0.0.1:4001"] }));
+    await deliver(await announcement({ ...b, ts: now - 1, bye: true }));
+    await deliver(current);
+    assert.deepEqual(
+      node.peers.map((peer) => peer.addresses),
+      [["tcp://127.0.0.1:4000"]]
+    );
+    assert.deepEqual(node.expired, []);
+
+    await deliver(await announcement({ ...b, ts: now + 1, bye: true }));
+    await waitFor(() => node.expired.length === 1);
+    assert.deepEqual(node.expired, [{ peerId: b.peerId, reason: "bye" }]);
+    // The hello from before the bye doesn't bring it back.
+    await deliver(current);
+    assert.equal(node.peers.length, 1);
+    assert.deepEqual(node.discovery.getPeers(), []);
+
+    await deliver(await announcement({ ...b, ts: now + 2, addresses: ["tcp://127.0.0.1:4002"] }));
+    await waitFor(() => node.peers.length === 2);
+    assert.deepEqual(node.peers[1].addresses, ["tcp://127.0.0.1:4002"]);
+  });
+
+  test("keeps only addresses on the host the announcement came from", async () => {
+    const { node, deliver } = await listener();
+    const b = await createIdentity();
+    const addresses = [
+      "tcp://10.9.9.9:4000", // someone else's host
+      "tcp://127.0.0.1:4001",
+      "tcp://0.0.0.0:4002", // listening on all interfaces: reached at the sender's address
+      "ws://[::]:4003",
+      "not a url",
+    ];
+    await deliver(await announcement({ ...b, addresses }));
+    await waitFor(() => node.peers.length === 1);
+    assert.deepEqual(node.peers[0].addresses, ["tcp://127.0.0.1:4001", "tcp://127.0.0.1:4002", "ws://127.0.0.1:4003/"]);
+  });
+
+  test("dials a discovered node over the transport and drops it when it says bye", async () => {
+    const port = await freePort();
+    const network = new LoopbackNetwork({ seed: 32 });
+    // loop:// addresses naming the loopback host pass the source check for announcements from this machine.
+    const a = await createNode(network, port, { address: "loop://127.0.0.1:1", autoDial: true });
+    const connected = [];
+    a.transport.on("connection", (info) => connected.push(info));
+    const b = await createNode(network, port, { address: "loop://127.0.0.1:2" });
+
+    await waitFor(() => connected.length === 1);
+    assert.deepEqual(a.peers, [{ peerId: b.id, addresses: ["loop://127.0.0.1:2"], authenticated: true }]);
+    assert.equal(connected[0].peerId, b.id);
+    assert.equal(connected[0].authenticated, true);
+
+    await b.discovery.stop();
+    await waitFor(() => a.expired.length === 1);
+    assert.deepEqual(a.expired, [{ peerId: b.id, reason: "bye" }]);
+    assert.deepEqual(a.errors, []);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * StreamMultiplexer over LoopbackTransport: per-stream flow control, half-close and resets.
+ *
+ *   node --test legacy/test/runtime/node/network/
+ */
+import { once } from "node:events";
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import StreamMultiplexer from "../../../../src/runtime/node/network/StreamMultiplexer.js";
+import LoopbackNetwork from "../../../../src/runtime/node/network/transports/LoopbackNetwork.js";
+import LoopbackTransport from "../../../../src/runtime/node/network/transports/LoopbackTransport.js";
+
+const encode = (text) => new TextEncoder().encode(text);
+
+async function waitFor(check) {
+  for (let i = 0; i < 300; i++) {
+    if (check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.fail("timed out");
+}
+
+// Not `for await`: that destroys the stream when the remote ends it, which resets our writing side too.
+function readAll(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.once("end", () => resolve(Buffer.concat(chunks)));
+    stream.once("error", reject);
+  });
+}
+
+describe("StreamMultiplexer", () => {
+  const cleanups = [];
+  /** @type {Map<object, Error>} */
+  const failures = new Map(); // stream -> the error it was destroyed with
+
+  function track(stream) {
+    stream.on("error", (err) => failures.set(stream, err));
+    return stream;
+  }
+
+  afterEach(async () => {
+    for (const cleanup of cleanups.splice(0).reverse()) await cleanup();
+    failures.clear();
+  });
+
+  /** Peers "a" and "b" connected over a LoopbackNetwork, each with a started multiplexer. */
+  async function muxPair(options = {}) {
+    const network = new LoopbackNetwork({ seed: 11 });
+    const side = async (localId) => {
+      const transport = new LoopbackTransport();
+      await transport.init({ network, localId });
+      await transport.start();
+      const mux = new StreamMultiplexer(transport, options);
+      mux.start();
+      const incoming = [];
+      mux.on("stream", (stream) => incoming.push(track(stream)));
+      cleanups.push(async () => {
+        mux.stop();
+        await transport.stop();
+      });
+      return { transport, mux, incoming };
+    };
+    const a = await side("a");
+    const b = await side("b");
+    const accepted = once(a.transport, "connection");
+    await b.transport.connect("loop://a");
+    await accepted;
+    return { a, b };
+  }
+
+  test("carries a labelled stream in both directions and closes it once both sides ended", async () => {
+    const { a, b } = await muxPair();
+    const outgoing = track(a.mux.openStream("b", { label: "chat" }));
+    outgoing.end(Buffer.from("hello"));
+    await waitFor(() => b.incoming.length === 1);
+    const [incoming] = b.incoming;
+    assert.equal(incoming.label, "chat");
+    assert.equal(incoming.id % 2, outgoing.id % 2);
+
+    // a has finished writing; b can still answer on the same stream.
+    assert.equal((await readAll(incoming)).toString(), "hello");
+    incoming.end(Buffer.from("hi back"));
+    assert.equal((await readAll(outgoing)).toString(), "hi back");
+
+    await waitFor(() => a.mux.getStreamCount() === 0 && b.mux.getStreamCount() === 0);
+    assert.equal(failures.size, 0);
+  });
+
+  test("stalls a stream whose reader doesn't drain it without holding up the others", async () => {
+    const { a, b } = await muxPair({ initialWindowBytes: 4096, chunkBytes: 1024 });
+    const size = 256 * 1024;
+    const slow = track(a.mux.openStream("b", { label: "slow" }));
+    const fast = track(a.mux.openStream("b", { label: "fast" }));
+    slow.end(Buffer.alloc(size, 1));
+    fast.end(Buffer.alloc(size, 2));
+    await waitFor(() => b.incoming.length === 2);
+    const [slowIn, fastIn] = b.incoming;
+
+    const fastData = await readAll(fastIn);
+    assert.equal(fastData.length, size);
+    assert.ok(fastData.every((byte) => byte === 2));
+    // The unread stream got no more than its reader's buffer plus one window before credit stopped.
+    assert.ok(slowIn.readableLength < size);
+    assert.ok(slowIn.readableLength <= slowIn.readableHighWaterMark + 4096);
+    assert.equal(slow.writableFinished, false);
+
+    const slowData = await readAll(slowIn);
+    assert.equal(slowData.length, size);
+    assert.ok(slowData.every((byte) => byte === 1));
+    await waitFor(() => slow.writableFinished);
+  });
+
+  test("a RESET from the remote destroys only that stream on both sides", async () => {
+    const { a, b } = await muxPair();
+    const doomed = track(a.mux.openStream("b"));
+    const kept = track(a.mux.openStream("b"));
+    doomed.write(Buffer.from("x"));
+    kept.write(Buffer.from("y"));
+    await waitFor(() => b.incoming.length === 2);
+
+    b.incoming[0].destroy(new Error("no thanks"));
+    await waitFor(() => failures.has(doomed));
+    assert.equal(failures.get(doomed).message, "StreamMultiplexer stream reset by peer: no thanks");
+    await waitFor(() => a.mux.getStreamCount("b") === 1 && b.mux.getStreamCount("a") === 1);
+
+    const received = readAll(b.incoming[1]);
+    kept.end(Buffer.from("z"));
+    assert.equal((await received).toString(), "yz");
+    assert.equal(failures.has(kept), false);
+  });
+
+  test("resets frames for streams it doesn't know and streams opened with the wrong parity", async () => {
+    const { a, b } = await muxPair();
+    const raw = [];
+    b.transport.on("frame", ({ bytes }) => raw.push(Buffer.from(bytes)));
+    const frame = (type, id) => {
+      const header = Buffer.alloc(9);
+      header.write("RZMX", 0, "ascii");
+      header[4] = type;
+      header.writeUInt32BE(id, 5);
+      return new Uint8Array(header);
+    };
+    // "b" > "a", so b opens even ids; 1 is a's.
+    await b.transport.send("a", frame(1, 1));
+    await b.transport.send("a", frame(2, 42));
+    await waitFor(() => raw.length === 2);
+
+    assert.deepEqual(
+      raw.map((bytes) => [bytes[4], bytes.readUInt32BE(5), bytes.subarray(9).toString()]),
+      [
+        [5, 1, "invalid stream id"],
+        [5, 42, "unknown stream"],
+      ]
+    );
+    assert.deepEqual(a.incoming, []);
+  });
+
+  test("aborts the streams to a peer that disconnects and passes plain frames through", async () => {
+    const { a, b } = await muxPair();
+    const plain = [];
+    b.mux.on("frame", ({ from, bytes }) => plain.push([from, new TextDecoder().decode(bytes)]));
+    await a.transport.send("b", encode("not multiplexed"));
+    await waitFor(() => plain.length === 1);
+    assert.deepEqual(plain, [["a", "not multiplexed"]]);
+
+    const stream = track(a.mux.openStream("b"));
+    stream.write(Buffer.from("x"));
+    await waitFor(() => b.incoming.length === 1);
+    await a.transport.disconnect("b");
+    await waitFor(() => failures.size === 2);
+    assert.equal(failures.get(stream).message, "StreamMultiplexer peer disconnected");
+    assert.equal(failures.get(b.incoming[0]).message, "StreamMultiplexer peer disconnected");
+    assert.equal(a.mux.getStreamCount(), 0);
+    assert.equal(b.mux.getStreamCount(), 0);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * ConnectionLimiter: admission per remote address and in total, and the per-connection rate throttle, on
+ * stand-in sockets and through a listening TcpTransport.
+ *
+ *   node --test legacy/test/runtime/node/network/transports/
+ */
+import { EventEmitter } from "node:events";
+import net from "node:net";
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import ConnectionLimiter from "../../../../../src/runtime/node/network/transports/ConnectionLimiter.js";
+import TcpTransport from "../../../../../src/runtime/node/network/transports/TcpTransport.js";
+
+async function waitFor(check) {
+  for (let i = 0; i < 300; i++) {
+    if (check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.fail("timed out");
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Just what the limiter touches on a net.Socket. */
+class FakeSocket extends EventEmitter {
+  constructor(remoteAddress = "10.0.0.1") {
+    super();
+    this.remoteAddress = remoteAddress;
+    this.destroyed = false;
+    this.paused = false;
+    this.pauses = 0;
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.emit("close");
+  }
+
+  pause() {
+    this.paused = true;
+    this.pauses += 1;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+}
+
+describe("ConnectionLimiter", () => {
+  test("refuses a remote address over maxConnectionsPerIp and admits it again once one closes", () => {
+    const limiter = new ConnectionLimiter({ maxConnectionsPerIp: 2 });
+    assert.equal(limiter.admit("10.0.0.1"), null);
+    assert.equal(limiter.admit("::ffff:10.0.0.1"), null); // the same address, IPv4-mapped
+    assert.equal(limiter.admit("10.0.0.1"), "connections-per-ip");
+    assert.equal(limiter.admit("10.0.0.2"), null);
+    assert.equal(limiter.admit(null), null); // e.g. a unix socket: only counts towards the total
+    assert.deepEqual(limiter.stats(), { connections: 4, remoteAddresses: 2 });
+
+    limiter.release("10.0.0.1");
+    assert.equal(limiter.admit("10.0.0.1"), null);
+  });
+
+  test("refuses every address over maxConnections", () => {
+    const limiter = new ConnectionLimiter({ maxConnections: 2 });
+    assert.equal(limiter.admit("10.0.0.1"), null);
+    assert.equal(limiter.admit(null), null);
+    assert.equal(limiter.admit("10.0.0.2"), "connections");
+    limiter.release(null);
+    assert.equal(limiter.admit("10.0.0.2"), null);
+  });
+
+  test("admitSocket() destroys a refused socket, recognizes it (and a TLS socket over it) and releases on close", () => {
+    const limiter = new ConnectionLimiter({ maxConnectionsPerIp: 1 });
+    const limits = [];
+    const first = new FakeSocket();
+    const second = new FakeSocket();
+
+    assert.equal(limiter.admitSocket(first, (info) => limits.push(info)), true);
+    assert.equal(limiter.admitSocket(second, (info) => limits.push(info)), false);
+    assert.equal(second.destroyed, true);
+    assert.deepEqual(limits, [{ kind: "connections-per-ip" }]);
+    assert.equal(limiter.isRefused(second), true);
+    assert.equal(limiter.isRefused({ _parent: second }), true);
+    assert.equal(limiter.isRefused(first), false);
+
+    first.destroy();
+    assert.deepEqual(limiter.stats(), { connections: 0, remoteAddresses: 0 });
+    assert.equal(limiter.admitSocket(new FakeSocket(), (info) => limits.push(info)), true);
+  });
+
+  test("throttle() pauses a connection over its frame budget and resumes it once the bucket refilled", async () => {
+    const limiter = new ConnectionLimiter({ maxFramesPerSecond: 10 });
+    const socket = new FakeSocket();
+    const limits = [];
+    const throttle = limiter.throttle(socket, (info) => limits.push(info));
+
+    for (let i = 0; i < 10; i++) throttle.frame();
+    assert.equal(socket.paused, false);
+    throttle.frame();
+    assert.equal(socket.paused, true);
+    assert.equal(limits.length, 1);
+    assert.equal(limits[0].kind, "frame-rate");
+    assert.ok(limits[0].delayMs > 0 && limits[0].delayMs <= 100);
+    // Frames already read while paused add to the debt but don't pause it again.
+    throttle.frame();
+    assert.equal(socket.pauses, 1);
+
+    await waitFor(() => !socket.paused);
+    throttle.close();
+  });
+
+  test("throttle() charges bytes separately and stops after close()", async () => {
+    const limiter = new ConnectionLimiter({ maxBytesPerSecond: 1000 });
+    const socket = new FakeSocket();
+    const limits = [];
+    const throttle = limiter.throttle(socket, (info) => limits.push(info));
+
+    throttle.bytes(1500);
+    assert.equal(socket.paused, true);
+    assert.equal(limits[0].kind, "byte-rate");
+    assert.ok(limits[0].delayMs >= 400 && limits[0].delayMs <= 500);
+    throttle.close();
+    await sleep(limits[0].delayMs + 50);
+    assert.equal(socket.paused, true); // the transport closes the connection; nothing left to resume
+
+    assert.equal(new ConnectionLimiter().throttle(socket, () => {}), null);
+  });
+
+  describe("through TcpTransport", () => {
+    const cleanups = [];
+
+    afterEach(async () => {
+      for (const cleanup of cleanups.splice(0).reverse()) await cleanup();
+    });
+
+    async function createTransport(options) {
+      const transport = new TcpTransport();
+      await transport.init({ listenHost: "127.0.0.1", listenPort: 0, ...options });
+      const node = { transport, limits: [], frames: [], arrivals: [], errors: [] };
+      transport.on("limit", (info) => node.limits.push(info));
+      transport.on("frame", ({ bytes }) => {
+        node.frames.push(new TextDecoder().decode(bytes));
+        node.arrivals.push(Date.now());
+      });
+      transport.on("error", (err) => node.errors.push(err));
+      await transport.start();
+      cleanups.push(() => transport.stop());
+      return node;
+    }
+
+    function openSocket(address) {
+      const { hostname, port } = new URL(address);
+      const socket = net.connect(Number(port), hostname);
+      cleanups.push(() => socket.destroy());
+      const closed = new Promise((resolve) => socket.once("close", resolve));
+      return { socket, closed };
+    }
+
+    test("refuses a second connection from the same address", async () => {
+      const server = await createTransport({ localId: "server", maxConnectionsPerIp: 1 });
+      const [address] = server.transport.getListenAddresses();
+
+      const first = openSocket(address);
+      await new Promise((resolve) => first.socket.once("connect", resolve));
+      const second = openSocket(address);
+      await second.closed;
+      await waitFor(() => server.limits.length === 1);
+      assert.equal(server.limits[0].kind, "connections-per-ip");
+      assert.match(server.limits[0].remoteAddress, /127\.0\.0\.1/);
+
+      first.socket.destroy();
+      await first.closed;
+      await sleep(20);
+      const client = await createTransport({ localId: "client" });
+      assert.equal(await client.transport.connect(address), "server");
+      assert.equal(server.limits.length, 1);
+    });
+
+    test("slows a sender over maxFramesPerSecond down without dropping its frames", async () => {
+      const server = await createTransport({ localId: "server", maxFramesPerSecond: 5 });
+      const client = await createTransport({ localId: "client" });
+      await client.transport.connect(server.transport.getListenAddresses()[0]);
+
+      // One at a time: frames that arrive in a chunk already read are delivered even over budget.
+      for (let i = 0; i < 10; i++) {
+        await client.transport.send("server", new TextEncoder().encode(`m${i}`));
+        await sleep(5);
+      }
+      await waitFor(() => server.frames.length === 10);
+
+      assert.deepEqual(
+        server.frames,
+        Array.from({ length: 10 }, (_, i) => `m${i}`)
+      );
+      const [limit] = server.limits;
+      assert.equal(limit.kind, "frame-rate");
+      assert.equal(limit.remoteAddress, "127.0.0.1");
+      // The socket stayed paused until the bucket refilled: nothing arrived in between.
+      const gaps = server.arrivals.slice(1).map((at, i) => at - server.arrivals[i]);
+      assert.ok(Math.max(...gaps) >= limit.delayMs - 20);
+      assert.deepEqual(server.errors, []);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * LoopbackTransport over a LoopbackNetwork: seeded fault injection, partitions, sever() and the hello timeout.
+ * Runs on a manual clock, so every delivery happens in advance()/runUntilIdle().
+ *
+ *   node --test legacy/test/runtime/node/network/transports/
+ */
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import LoopbackNetwork from "../../../../../src/runtime/node/network/transports/LoopbackNetwork.js";
+import LoopbackTransport from "../../../../../src/runtime/node/network/transports/LoopbackTransport.js";
+
+const encode = (text) => new TextEncoder().encode(text);
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+async function createNode(network, localId, options = {}) {
+  const transport = new LoopbackTransport();
+  await transport.init({ network, localId, ...options });
+  const node = { transport, id: localId, events: [] };
+  for (const type of ["connection", "disconnection", "frame", "error"]) {
+    transport.on(type, (payload) => node.events.push({ type, payload }));
+  }
+  await transport.start();
+  return node;
+}
+
+const eventsOf = (node, type) => node.events.filter((e) => e.type === type).map((e) => e.payload);
+const textsAt = (node) => eventsOf(node, "frame").map((f) => decode(f.bytes));
+
+describe("LoopbackTransport", () => {
+  const nodes = [];
+
+  afterEach(async () => {
+    for (const node of nodes.splice(0)) await node.transport.stop();
+  });
+
+  /** Nodes "a" and "b" on a manual-clock network, `b` connected to `a`. */
+  async function connectedPair(networkOptions = {}, transportOptions = {}) {
+    const network = new LoopbackNetwork({ seed: 1, manualClock: true, ...networkOptions });
+    const a = await createNode(network, "a", transportOptions);
+    const b = await createNode(network, "b", transportOptions);
+    nodes.push(a, b);
+    const connected = b.transport.connect("loop://a");
+    await network.runUntilIdle();
+    assert.equal(await connected, "a");
+    return { network, a, b };
+  }
+
+  async function sendAll(from, to, count) {
+    for (let i = 0; i < count; i++) await from.transport.send(to.id, encode(`m${i}`));
+  }
+
+  const numbered = (count) => Array.from({ length: count }, (_, i) => `m${i}`);
+
+  test("connects two peers and delivers frames in order", async () => {
+    const { network, a, b } = await connectedPair({ latencyMs: 5, jitterMs: 20 });
+    assert.deepEqual(eventsOf(a, "connection").map((info) => [info.peerId, info.outbound]), [["b", false]]);
+    assert.deepEqual(eventsOf(b, "connection").map((info) => [info.peerId, info.outbound]), [["a", true]]);
+
+    await sendAll(b, a, 20);
+    await network.runUntilIdle();
+    assert.deepEqual(textsAt(a), numbered(20));
+  });
+
+  test("replays the same deliveries from the same seed", async () => {
+    async function run(seed) {
+      const network = new LoopbackNetwork({
+        seed,
+        manualClock: true,
+        jitterMs: 10,
+        dropRate: 0.2,
+        duplicateRate: 0.2,
+        reorderRate: 0.3,
+      });
+      const a = await createNode(network, "a");
+      const b = await createNode(network, "b");
+      nodes.push(a, b);
+      const connected = b.transport.connect("loop://a");
+      await network.runUntilIdle();
+      await connected;
+      await sendAll(b, a, 50);
+      await network.runUntilIdle();
+      return { received: textsAt(a), stats: network.stats(), now: network.now() };
+    }
+
+    const first = await run(1234);
+    assert.deepEqual(await run(1234), first);
+    assert.ok(first.stats.dropped > 0 && first.stats.duplicated > 0 && first.stats.reordered > 0);
+    assert.notDeepEqual(first.received, numbered(50));
+  });
+
+  test("drops, duplicates and reorders data frames on one link", async () => {
+    const { network, a, b } = await connectedPair();
+
+    network.setLinkFaults("b", "a", { dropRate: 1 });
+    await sendAll(b, a, 5);
+    await network.runUntilIdle();
+    assert.deepEqual(textsAt(a), []);
+    assert.equal(network.stats().dropped, 5);
+
+    network.setLinkFaults("b", "a", { duplicateRate: 1 });
+    await sendAll(b, a, 3);
+    await network.runUntilIdle();
+    assert.deepEqual(textsAt(a), ["m0", "m0", "m1", "m1", "m2", "m2"]);
+
+    // The other direction keeps the defaults.
+    await sendAll(a, b, 2);
+    await network.runUntilIdle();
+    assert.deepEqual(textsAt(b), ["m0", "m1"]);
+
+    network.setLinkFaults("b", "a", { reorderRate: 1, reorderDelayMs: 50 });
+    a.events.length = 0;
+    await sendAll(b, a, 20);
+    await network.runUntilIdle();
+    assert.notDeepEqual(textsAt(a), numbered(20));
+    assert.deepEqual([...textsAt(a)].sort(), [...numbered(20)].sort());
+  });
+
+  test("loses frames across a partition and refuses new dials until heal()", async () => {
+    const { network, a, b } = await connectedPair();
+    const c = await createNode(network, "c");
+    nodes.push(c);
+
+    network.partition(["a"], ["b", "c"]);
+    await b.transport.send("a", encode("lost"));
+    await network.runUntilIdle();
+    await assert.rejects(c.transport.connect("loop://a"), /LoopbackTransport loop:\/\/a is unreachable/);
+    assert.deepEqual(textsAt(a), []);
+    assert.equal(network.stats().partitioned, 1);
+    // The connection itself stays open.
+    assert.deepEqual(eventsOf(a, "disconnection"), []);
+
+    network.heal();
+    await b.transport.send("a", encode("through"));
+    const connected = c.transport.connect("loop://a");
+    await network.runUntilIdle();
+    assert.equal(await connected, "a");
+    assert.deepEqual(textsAt(a), ["through"]);
+  });
+
+  test("loses frames in flight when a partition starts", async () => {
+    const { network, a, b } = await connectedPair({ latencyMs: 10 });
+    await b.transport.send("a", encode("in flight"));
+    await network.advance(5);
+    network.partition(["a"], ["b"]);
+    await network.runUntilIdle();
+    assert.deepEqual(textsAt(a), []);
+    assert.equal(network.stats().partitioned, 1);
+  });
+
+  test("sever() resets the connection on both sides", async () => {
+    const { network, a, b } = await connectedPair({ latencyMs: 10 });
+    await b.transport.send("a", encode("in flight"));
+    network.sever("a", "b");
+    await network.runUntilIdle();
+
+    assert.deepEqual(eventsOf(a, "disconnection"), [{ peerId: "b", reason: "reset" }]);
+    assert.deepEqual(eventsOf(b, "disconnection"), [{ peerId: "a", reason: "reset" }]);
+    assert.deepEqual(textsAt(a), []);
+
+    // A new dial gets a fresh connection.
+    const connected = b.transport.connect("loop://a");
+    await network.runUntilIdle();
+    assert.equal(await connected, "a");
+    assert.equal(eventsOf(a, "connection").length, 2);
+  });
+
+  test("closes a connection whose hello doesn't complete within helloTimeoutMs", async () => {
+    const network = new LoopbackNetwork({ seed: 1, manualClock: true });
+    const a = await createNode(network, "a", { helloTimeoutMs: 500 });
+    const b = await createNode(network, "b", { helloTimeoutMs: 500 });
+    nodes.push(a, b);
+
+    const connected = b.transport.connect("loop://a");
+    let outcome = null;
+    connected.then(
+      () => (outcome = "connected"),
+      (err) => (outcome = err.message)
+    );
+    // The hellos were sent on dial and are lost on arrival.
+    network.partition(["a"], ["b"]);
+    await network.advance(499);
+    assert.equal(outcome, null);
+    await network.advance(1);
+    assert.equal(outcome, "LoopbackTransport hello timed out");
+    assert.deepEqual(eventsOf(a, "connection"), []);
+    assert.deepEqual(eventsOf(b, "connection"), []);
+
+    network.heal();
+    const retried = b.transport.connect("loop://a");
+    await network.runUntilIdle();
+    assert.equal(await retried, "a");
+  });
+
+  test("reports the remote's disconnect() and a connection replaced by a restarted peer", async () => {
+    const { network, a, b } = await connectedPair();
+    await b.transport.disconnect("a");
+    await network.runUntilIdle();
+    assert.deepEqual(eventsOf(a, "disconnection"), [{ peerId: "b", reason: "closed" }]);
+    assert.deepEqual(eventsOf(b, "disconnection"), [{ peerId: "a", reason: "closed" }]);
+
+    const redialed = b.transport.connect("loop://a");
+    await network.runUntilIdle();
+    assert.equal(await redialed, "a");
+    // "b" comes back as a new process before a heard that the old one went away.
+    const restarted = await createNode(network, "b", { listen: false });
+    nodes.push(restarted);
+    const connected = restarted.transport.connect("loop://a");
+    await network.runUntilIdle();
+    assert.equal(await connected, "a");
+    assert.deepEqual(eventsOf(a, "disconnection").at(-1), { peerId: "b", reason: "replaced" });
+    await restarted.transport.send("a", encode("from the new one"));
+    await network.runUntilIdle();
+    assert.deepEqual(textsAt(a), ["from the new one"]);
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * SecureSessionTransport over LoopbackTransport: key exchange, replay and rekey handling, seen from both ends
+ * and from the inner transport underneath (which stands in for a relay or anyone else on the path).
+ *
+ *   node --test legacy/test/runtime/node/network/transports/
+ */
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import NodeCryptoProvider from "../../../../../src/runtime/node/crypto/NodeCryptoProvider.js";
+import LoopbackNetwork from "../../../../../src/runtime/node/network/transports/LoopbackNetwork.js";
+import LoopbackTransport from "../../../../../src/runtime/node/network/transports/LoopbackTransport.js";
+import SecureSessionTransport from "../../../../../src/runtime/node/network/transports/SecureSessionTransport.js";
+
+const FRAME_KX = 0x01;
+const FRAME_DATA = 0x02;
+
+const cryptoProvider = new NodeCryptoProvider();
+const encode = (text) => new TextEncoder().encode(text);
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+async function waitFor(check) {
+  for (let i = 0; i < 300; i++) {
+    if (check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.fail("timed out");
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * One side: a SecureSessionTransport over a LoopbackTransport, recording what both report. `raw` holds
+ * the inner frames this side received, i.e. what the path carried towards it.
+ */
+async function createNode(network, options = {}) {
+  const identity = { algorithmId: "ed25519", ...(await cryptoProvider.generateSigningKeyPair("ed25519")) };
+  const inner = new LoopbackTransport();
+  await inner.init({ network, crypto: cryptoProvider, identity });
+  const secure = new SecureSessionTransport();
+  await secure.init({ transport: inner, crypto: cryptoProvider, identity, ...options });
+
+  const node = { inner, secure, id: inner.getLocalId(), raw: [], innerConnections: [], events: [] };
+  inner.on("frame", ({ bytes }) => node.raw.push(bytes));
+  inner.on("connection", (info) => node.innerConnections.push(info));
+  for (const type of ["connection", "disconnection", "frame", "error"]) {
+    secure.on(type, (payload) => node.events.push({ type, payload }));
+  }
+  await secure.start();
+  return node;
+}
+
+const eventsOf = (node, type) => node.events.filter((e) => e.type === type).map((e) => e.payload);
+const textsAt = (node) => eventsOf(node, "frame").map((f) => decode(f.bytes));
+const errorsAt = (node) => eventsOf(node, "error").map((err) => err.message);
+const rawOf = (node, type) => node.raw.filter((bytes) => bytes[0] === type);
+const kxOf = (bytes) => JSON.parse(decode(bytes.subarray(1)));
+
+describe("SecureSessionTransport", () => {
+  const nodes = [];
+
+  afterEach(async () => {
+    for (const node of nodes.splice(0)) await node.secure.stop();
+  });
+
+  /** Two nodes, `b` dialed `a`, both sessions established. */
+  async function connectedPair({ network = new LoopbackNetwork({ seed: 3 }), a: aOptions, b: bOptions } = {}) {
+    const a = await createNode(network, aOptions);
+    const b = await createNode(network, bOptions);
+    nodes.push(a, b);
+    await b.inner.connect(a.inner.getListenAddresses()[0]);
+    await waitFor(() => eventsOf(a, "connection").length === 1 && eventsOf(b, "connection").length === 1);
+    return { network, a, b };
+  }
+
+  test("derives the same keys on both sides and only puts ciphertext on the inner transport", async () => {
+    const { a, b } = await connectedPair();
+    assert.equal(eventsOf(a, "connection")[0].peerId, b.id);
+    assert.equal(eventsOf(a, "connection")[0].encrypted, true);
+
+    await b.secure.send(a.id, encode("secret from b"));
+    await a.secure.send(b.id, encode("secret from a"));
+    await waitFor(() => textsAt(a).length === 1 && textsAt(b).length === 1);
+    assert.deepEqual(textsAt(a), ["secret from b"]);
+    assert.deepEqual(textsAt(b), ["secret from a"]);
+    assert.ok(rawOf(a, FRAME_DATA).every((bytes) => !Buffer.from(bytes).includes("secret")));
+    assert.deepEqual(errorsAt(a), []);
+    assert.deepEqual(errorsAt(b), []);
+  });
+
+  test("every key exchange after the first answers the remote key it was sent for", async () => {
+    const { a, b } = await connectedPair();
+    for (const node of [a, b]) {
+      const [first, ...answers] = rawOf(node, FRAME_KX).map(kxOf);
+      assert.equal(first.re, undefined);
+      assert.ok(answers.length >= 1);
+      const other = node === a ? b : a;
+      const offered = rawOf(other, FRAME_KX).map((bytes) => kxOf(bytes).epk);
+      for (const answer of answers) assert.ok(offered.includes(answer.re));
+    }
+  });
+
+  test("moves to the next epoch every rekeyAfterMessages frames", async () => {
+    const { a, b } = await connectedPair({ b: { rekeyAfterMessages: 2 } });
+    for (let i = 0; i < 5; i++) await b.secure.send(a.id, encode(`m${i}`));
+    await waitFor(() => textsAt(a).length === 5);
+    assert.deepEqual(textsAt(a), ["m0", "m1", "m2", "m3", "m4"]);
+    const headers = rawOf(a, FRAME_DATA).map((bytes) => Buffer.from(bytes));
+    assert.deepEqual(
+      headers.map((h) => h.readUInt32BE(1)),
+      [0, 0, 1, 1, 2]
+    );
+    assert.deepEqual(
+      headers.map((h) => Number(h.readBigUInt64BE(5))),
+      [1, 2, 3, 4, 5]
+    );
+  });
+
+  test("rejects a replayed data frame without delivering it", async () => {
+    const { a, b } = await connectedPair();
+    await b.secure.send(a.id, encode("once"));
+    await waitFor(() => textsAt(a).length === 1);
+
+    await b.inner.send(a.id, rawOf(a, FRAME_DATA)[0]);
+    await waitFor(() => errorsAt(a).length === 1);
+    assert.deepEqual(errorsAt(a), ["SecureSessionTransport replayed frame rejected"]);
+    assert.deepEqual(textsAt(a), ["once"]);
+  });
+
+  test("rejects frames with a skipped epoch or a tampered header", async () => {
+    const { a, b } = await connectedPair();
+    await b.secure.send(a.id, encode("genuine"));
+    await waitFor(() => textsAt(a).length === 1);
+    const original = Buffer.from(rawOf(a, FRAME_DATA)[0]);
+
+    const skipped = Buffer.from(original);
+    skipped.writeUInt32BE(2, 1);
+    skipped.writeBigUInt64BE(100n, 5);
+    await b.inner.send(a.id, new Uint8Array(skipped));
+    const tampered = Buffer.from(original);
+    tampered.writeBigUInt64BE(101n, 5);
+    await b.inner.send(a.id, new Uint8Array(tampered));
+
+    await waitFor(() => errorsAt(a).length === 2);
+    assert.deepEqual(errorsAt(a), [
+      "SecureSessionTransport unexpected key epoch",
+      "SecureSessionTransport frame authentication failed",
+    ]);
+    // Neither advanced the receive state: the next genuine frame still gets through.
+    await b.secure.send(a.id, encode("still fine"));
+    await waitFor(() => textsAt(a).length === 2);
+    assert.deepEqual(textsAt(a), ["genuine", "still fine"]);
+  });
+
+  test("keeps going after a dropped frame and delivers a duplicated one once", async () => {
+    const { network, a, b } = await connectedPair();
+    network.setLinkFaults(b.id, a.id, { dropRate: 1 });
+    await b.secure.send(a.id, encode("lost"));
+    network.setLinkFaults(b.id, a.id, { duplicateRate: 1 });
+    await b.secure.send(a.id, encode("twice"));
+    network.setLinkFaults(b.id, a.id, null);
+    await b.secure.send(a.id, encode("after"));
+
+    await waitFor(() => textsAt(a).length === 2 && errorsAt(a).length === 1);
+    assert.deepEqual(textsAt(a), ["twice", "after"]);
+    assert.deepEqual(errorsAt(a), ["SecureSessionTransport replayed frame rejected"]);
+  });
+
+  test("a replayed key exchange doesn't disturb the established session", async () => {
+    const { a, b } = await connectedPair();
+    const earlier = rawOf(a, FRAME_KX);
+    // Start over once, so what was captured is from a session b no longer has the keys of.
+    b.inner.emit("connection", b.innerConnections[0]);
+    await waitFor(() => eventsOf(a, "connection").length === 2 && eventsOf(b, "connection").length === 2);
+
+    for (const bytes of [...earlier, ...rawOf(a, FRAME_KX)]) await b.inner.send(a.id, bytes);
+    await sleep(50);
+
+    await b.secure.send(a.id, encode("from b"));
+    await a.secure.send(b.id, encode("from a"));
+    await waitFor(() => textsAt(a).length === 1 && textsAt(b).length === 1);
+    assert.deepEqual(textsAt(a), ["from b"]);
+    assert.deepEqual(textsAt(b), ["from a"]);
+    assert.equal(eventsOf(a, "connection").length, 2);
+    assert.equal(eventsOf(a, "disconnection").length, 1);
+    for (const node of [a, b]) assert.deepEqual(errorsAt(node), []);
+  });
+
+  test("replaces the session once a peer that started over confirms its new key", async () => {
+    const { a, b } = await connectedPair();
+    // b's side starts a new session (as if its relay connection came back) while a's inner connection stays up.
+    b.inner.emit("connection", b.innerConnections[0]);
+    await waitFor(() => eventsOf(a, "connection").length === 2 && eventsOf(b, "connection").length === 2);
+
+    assert.deepEqual(
+      eventsOf(a, "disconnection").map((info) => [info.peerId, info.reason]),
+      [[b.id, "restarted"]]
+    );
+    await b.secure.send(a.id, encode("new keys"));
+    await a.secure.send(b.id, encode("new keys too"));
+    await waitFor(() => textsAt(a).length === 1 && textsAt(b).length === 1);
+    assert.deepEqual(textsAt(a), ["new keys"]);
+    assert.deepEqual(textsAt(b), ["new keys too"]);
+  });
+
+  test("retries a key exchange that didn't finish within handshakeTimeoutMs", async () => {
+    const network = new LoopbackNetwork({ seed: 5 });
+    const a = await createNode(network, { handshakeTimeoutMs: 200 });
+    const b = await createNode(network, { handshakeTimeoutMs: 200 });
+    nodes.push(a, b);
+    network.setLinkFaults(b.id, a.id, { dropRate: 1 });
+    await b.inner.connect(a.inner.getListenAddresses()[0]);
+    await waitFor(() => errorsAt(a).length >= 1);
+    network.setLinkFaults(b.id, a.id, null);
+
+    await waitFor(() => eventsOf(a, "connection").length === 1 && eventsOf(b, "connection").length === 1);
+    assert.equal(errorsAt(a)[0], "SecureSessionTransport key exchange timed out");
+    await b.secure.send(a.id, encode("late but fine"));
+    await waitFor(() => textsAt(a).length === 1);
+    assert.deepEqual(textsAt(a), ["late but fine"]);
+  });
+
+  test("closes the inner connection when the key exchange fails verification", async () => {
+    const network = new LoopbackNetwork({ seed: 7 });
+    const a = await createNode(network);
+    nodes.push(a);
+    // b has an identity on the inner hello but sends unsigned key exchanges.
+    const identity = { algorithmId: "ed25519", ...(await cryptoProvider.generateSigningKeyPair("ed25519")) };
+    const inner = new LoopbackTransport();
+    await inner.init({ network, crypto: cryptoProvider, identity });
+    const secure = new SecureSessionTransport();
+    await secure.init({ transport: inner, crypto: cryptoProvider, requireSignedKeyExchange: false });
+    secure.on("error", () => {});
+    await secure.start();
+    nodes.push({ secure });
+    const lost = [];
+    inner.on("disconnection", (info) => lost.push(info));
+
+    await inner.connect(a.inner.getListenAddresses()[0]);
+    await waitFor(() => lost.length === 1);
+    assert.deepEqual(errorsAt(a), ["SecureSessionTransport key exchange is not signed"]);
+    assert.deepEqual(eventsOf(a, "connection"), []);
+  });
+});
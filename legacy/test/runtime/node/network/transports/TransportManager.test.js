@@ -0,0 +1,157 @@
+/**
+ * TransportManager over two LoopbackTransports per node (one per LoopbackNetwork, standing in for e.g. TCP
+ * and WebSocket): routing to peers already connected and one peer set across transports.
+ *
+ *   node --test legacy/test/runtime/node/network/transports/
+ */
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import LoopbackNetwork from "../../../../../src/runtime/node/network/transports/LoopbackNetwork.js";
+import LoopbackTransport from "../../../../../src/runtime/node/network/transports/LoopbackTransport.js";
+import TransportManager from "../../../../../src/runtime/node/network/transports/TransportManager.js";
+
+const encode = (text) => new TextEncoder().encode(text);
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+async function waitFor(check) {
+  for (let i = 0; i < 300; i++) {
+    if (check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.fail("timed out");
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("TransportManager", () => {
+  const managers = [];
+
+  afterEach(async () => {
+    for (const manager of managers.splice(0)) await manager.stop();
+  });
+
+  /**
+   * A node on both networks: "lan" (preferred, serves loop://) and "wan" (no scheme, so it is only used
+   * for connections it already has).
+   */
+  async function createNode(networks, localId) {
+    const transports = {};
+    for (const name of ["lan", "wan"]) {
+      transports[name] = new LoopbackTransport();
+      await transports[name].init({ network: networks[name], localId });
+    }
+    const manager = new TransportManager();
+    await manager.init({
+      transports: [
+        { name: "lan", transport: transports.lan, schemes: ["loop"] },
+        { name: "wan", transport: transports.wan, schemes: [] },
+      ],
+    });
+    const node = { manager, ...transports, events: [] };
+    for (const type of ["connection", "disconnection", "frame", "error"]) {
+      manager.on(type, (payload) => node.events.push({ type, payload }));
+    }
+    await manager.start();
+    managers.push(manager);
+    return node;
+  }
+
+  async function createPair() {
+    const networks = { lan: new LoopbackNetwork({ seed: 21 }), wan: new LoopbackNetwork({ seed: 22 }) };
+    return { a: await createNode(networks, "a"), b: await createNode(networks, "b") };
+  }
+
+  const eventsOf = (node, type) => node.events.filter((e) => e.type === type).map((e) => e.payload);
+  const framesAt = (node) => eventsOf(node, "frame").map((f) => [decode(f.bytes), f.transport]);
+
+  test("reports a peer once while it is reachable over any transport", async () => {
+    const { a, b } = await createPair();
+    assert.equal(await b.manager.connect("loop://a"), "a");
+    await b.wan.connect("loop://a");
+    await waitFor(() => a.manager.getPeerTransports("b").length === 2);
+
+    assert.deepEqual(
+      eventsOf(a, "connection").map((info) => [info.peerId, info.transport]),
+      [["b", "lan"]]
+    );
+    assert.deepEqual(b.manager.getPeerTransports("a"), ["lan", "wan"]);
+
+    await b.lan.disconnect("a");
+    await waitFor(() => a.manager.getPeerTransports("b").length === 1);
+    assert.deepEqual(eventsOf(a, "disconnection"), []);
+
+    await b.wan.disconnect("a");
+    await waitFor(() => eventsOf(a, "disconnection").length === 1);
+    assert.deepEqual(
+      eventsOf(a, "disconnection").map((info) => [info.peerId, info.reason, info.transport]),
+      [["b", "closed", "wan"]]
+    );
+    assert.deepEqual(
+      eventsOf(b, "disconnection").map((info) => [info.peerId, info.transport]),
+      [["a", "wan"]]
+    );
+    assert.deepEqual(a.manager.getPeerTransports("b"), []);
+  });
+
+  test("sends to a peerId over the preferred live connection, whichever side dialed it", async () => {
+    const { a, b } = await createPair();
+    await b.wan.connect("loop://a");
+    await waitFor(() => a.manager.getPeerTransports("b").length === 1);
+
+    // Only connected over wan: a replies there although it has no scheme to dial with.
+    await a.manager.send("b", encode("over wan"));
+    await waitFor(() => framesAt(b).length === 1);
+
+    await b.manager.connect("loop://a");
+    await waitFor(() => a.manager.getPeerTransports("b").length === 2);
+    await a.manager.send("b", encode("over lan"));
+    await waitFor(() => framesAt(b).length === 2);
+
+    await a.lan.disconnect("b");
+    await waitFor(() => a.manager.getPeerTransports("b").length === 1);
+    await a.manager.send("b", encode("back to wan"));
+    await waitFor(() => framesAt(b).length === 3);
+
+    assert.deepEqual(framesAt(b), [
+      ["over wan", "wan"],
+      ["over lan", "lan"],
+      ["back to wan", "wan"],
+    ]);
+    await assert.rejects(a.manager.send("nobody", encode("?")), /TransportManager unknown peerId/);
+  });
+
+  test("doesn't dial an address whose peer is already connected over another transport", async () => {
+    const { a, b } = await createPair();
+    await b.wan.connect("loop://a");
+    await waitFor(() => b.manager.getPeerTransports("a").length === 1);
+
+    assert.equal(await b.manager.connect("loop://a", { expectedPeerId: "a" }), "a");
+    await b.manager.send("loop://a", encode("hello"), { expectedPeerId: "a" });
+    await waitFor(() => framesAt(a).length === 1);
+    await sleep(20);
+
+    assert.deepEqual(framesAt(a), [["hello", "wan"]]);
+    assert.deepEqual(a.manager.getPeerTransports("b"), ["wan"]);
+    assert.equal(eventsOf(a, "connection").length, 1);
+  });
+
+  test("remembers which peer an address reached", async () => {
+    const { a, b } = await createPair();
+    await b.manager.send("loop://a", encode("first"));
+    await b.wan.connect("loop://a");
+    await waitFor(() => b.manager.getPeerTransports("a").length === 2);
+
+    // The lan connection goes away; the address now resolves to the wan connection instead of a new dial.
+    await b.lan.disconnect("a");
+    await waitFor(() => b.manager.getPeerTransports("a").length === 1);
+    await b.manager.send("loop://a", encode("second"));
+    await waitFor(() => framesAt(a).length === 2);
+
+    assert.deepEqual(framesAt(a), [
+      ["first", "lan"],
+      ["second", "wan"],
+    ]);
+    assert.deepEqual(a.manager.getPeerTransports("b"), ["wan"]);
+  });
+});
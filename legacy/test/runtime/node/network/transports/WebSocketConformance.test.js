@@ -0,0 +1,391 @@
+/**
+ * RFC 6455 conformance of WebSocketTransport's frame layer, in the spirit of the Autobahn fuzzing client
+ * sections 1-7: a raw TCP client speaks crafted frames to a local server and checks how it answers.
+ *
+ *   node --test legacy/test/runtime/node/network/transports/
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import net from "node:net";
+
+import WebSocketTransport from "../../../../../src/runtime/node/network/transports/WebSocketTransport.js";
+
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+const MAX_MESSAGE_BYTES = 256 * 1024;
+
+/**
+ * One client frame, always masked unless `masked: false`. `rsv` is the 3 reserved bits (0-7), `len64`
+ * forces the 8-byte length encoding and `declaredLength` overrides the length written to the header.
+ */
+function clientFrame(opcode, payload = Buffer.alloc(0), options = {}) {
+  const { fin = true, rsv = 0, masked = true, len64 = false, declaredLength = payload.length } = options;
+  const b0 = (fin ? 0x80 : 0) | (rsv << 4) | opcode;
+  let header;
+  if (len64 || declaredLength > 0xffff) {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(declaredLength), 2);
+  } else if (declaredLength > 125) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(declaredLength, 2);
+  } else {
+    header = Buffer.alloc(2);
+    header[1] = declaredLength;
+  }
+  header[0] = b0;
+  if (!masked) return Buffer.concat([header, payload]);
+  header[1] |= 0x80;
+  const mask = crypto.randomBytes(4);
+  const body = Buffer.from(payload.map((byte, i) => byte ^ mask[i & 3]));
+  return Buffer.concat([header, mask, body]);
+}
+
+function helloText(peerId) {
+  return Buffer.from(JSON.stringify({ t: "hello", peerId }), "utf8");
+}
+
+/**
+ * Upgrade a raw socket to `url` and collect the server's (unmasked) frames.
+ */
+async function rawClient(url) {
+  const { hostname, port, pathname } = new URL(url);
+  const socket = net.connect(Number(port), hostname);
+  socket.on("error", () => {});
+  await new Promise((resolve, reject) => {
+    socket.once("connect", resolve);
+    socket.once("error", reject);
+  });
+  const key = crypto.randomBytes(16).toString("base64");
+  socket.write(
+    `GET ${pathname} HTTP/1.1\r\nHost: ${hostname}:${port}\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n` +
+      `Sec-WebSocket-Key: ${key}\r\nSec-WebSocket-Version: 13\r\n\r\n`
+  );
+
+  const frames = [];
+  const waiters = [];
+  let buf = Buffer.alloc(0);
+  let upgraded = false;
+  let ended = false;
+  const wake = () => {
+    for (const waiter of waiters.splice(0)) waiter();
+  };
+  socket.on("data", (chunk) => {
+    buf = Buffer.concat([buf, chunk]);
+    if (!upgraded) {
+      const end = buf.indexOf("\r\n\r\n");
+      if (end === -1) return;
+      assert.match(buf.subarray(0, end).toString("latin1"), /^HTTP\/1\.1 101 /);
+      upgraded = true;
+      buf = buf.subarray(end + 4);
+    }
+    while (buf.length >= 2) {
+      let len = buf[1] & 0x7f;
+      let offset = 2;
+      if (len === 126) {
+        if (buf.length < 4) break;
+        len = buf.readUInt16BE(2);
+        offset = 4;
+      } else if (len === 127) {
+        if (buf.length < 10) break;
+        len = Number(buf.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (buf.length < offset + len) break;
+      frames.push({ fin: (buf[0] & 0x80) !== 0, opcode: buf[0] & 0x0f, payload: buf.subarray(offset, offset + len) });
+      buf = buf.subarray(offset + len);
+    }
+    wake();
+  });
+  socket.on("close", () => {
+    ended = true;
+    wake();
+  });
+
+  /** Resolves with the first frame matching `predicate` (consuming the ones before it), or null on close. */
+  const nextFrame = async (predicate = () => true) => {
+    for (;;) {
+      const i = frames.findIndex(predicate);
+      if (i !== -1) return frames.splice(0, i + 1).pop();
+      if (ended) return null;
+      await new Promise((resolve) => waiters.push(resolve));
+    }
+  };
+
+  return {
+    send: (...parts) => socket.write(Buffer.concat(parts)),
+    nextFrame,
+    /** Status code of the server's close frame, or null if it hung up without one. */
+    async closeCode() {
+      const frame = await nextFrame((f) => f.opcode === 8);
+      return frame && frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : null;
+    },
+    destroy: () => socket.destroy(),
+  };
+}
+
+describe("WebSocketTransport frame conformance", () => {
+  let server;
+  let url;
+  const clients = [];
+  const events = [];
+
+  before(async () => {
+    server = new WebSocketTransport();
+    await server.init({
+      localId: "conformance-server",
+      listenHost: "127.0.0.1",
+      listenPort: 0,
+      maxPayloadBytes: MAX_PAYLOAD_BYTES,
+      maxMessageBytes: MAX_MESSAGE_BYTES,
+    });
+    server.on("error", () => {}); // every violation below is also reported here
+    server.on("connection", (info) => events.push({ type: "connection", ...info }));
+    server.on("frame", (frame) => events.push({ type: "frame", ...frame }));
+    await server.start();
+    url = server.getListenAddresses()[0];
+  });
+
+  after(async () => {
+    for (const client of clients) client.destroy();
+    await server.stop();
+  });
+
+  /** A raw client past the upgrade, with the server's hello already read. */
+  async function connect() {
+    const client = await rawClient(url);
+    clients.push(client);
+    const hello = await client.nextFrame();
+    assert.equal(hello?.opcode, 1);
+    return client;
+  }
+
+  /** A raw client that also completed the hello as `peerId`. */
+  async function establish(peerId) {
+    const client = await connect();
+    client.send(clientFrame(1, helloText(peerId)));
+    await waitFor(() => events.some((e) => e.type === "connection" && e.peerId === peerId));
+    return client;
+  }
+
+  async function waitFor(check) {
+    for (let i = 0; i < 200; i++) {
+      if (check()) return;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.fail("timed out");
+  }
+
+  const framesFrom = (peerId) => events.filter((e) => e.type === "frame" && e.from === peerId);
+
+  describe("fragmentation", () => {
+    test("reassembles a fragmented text message with a ping between the fragments", async () => {
+      const client = await connect();
+      const hello = helloText("frag-text");
+      client.send(
+        clientFrame(1, hello.subarray(0, 5), { fin: false }),
+        clientFrame(9, Buffer.from("mid-message")),
+        clientFrame(0, hello.subarray(5, 12), { fin: false }),
+        clientFrame(0, hello.subarray(12))
+      );
+      const pong = await client.nextFrame((f) => f.opcode === 10);
+      assert.equal(pong.payload.toString(), "mid-message");
+      await waitFor(() => events.some((e) => e.type === "connection" && e.peerId === "frag-text"));
+    });
+
+    test("reassembles a fragmented binary message with pings and pongs between the fragments", async () => {
+      const client = await establish("frag-binary");
+      client.send(
+        clientFrame(2, Buffer.from([1, 2]), { fin: false }),
+        clientFrame(9, Buffer.from("a")),
+        clientFrame(0, Buffer.from([3]), { fin: false }),
+        clientFrame(10, Buffer.from("unsolicited")),
+        clientFrame(9, Buffer.from("b")),
+        clientFrame(0, Buffer.from([4, 5]))
+      );
+      assert.equal((await client.nextFrame((f) => f.opcode === 10)).payload.toString(), "a");
+      assert.equal((await client.nextFrame((f) => f.opcode === 10)).payload.toString(), "b");
+      await waitFor(() => framesFrom("frag-binary").length === 1);
+      assert.deepEqual([...framesFrom("frag-binary")[0].bytes], [1, 2, 3, 4, 5]);
+    });
+
+    test("accepts empty fragments", async () => {
+      const client = await establish("frag-empty");
+      client.send(clientFrame(2, Buffer.alloc(0), { fin: false }), clientFrame(0, Buffer.from([7]), { fin: false }), clientFrame(0));
+      await waitFor(() => framesFrom("frag-empty").length === 1);
+      assert.deepEqual([...framesFrom("frag-empty")[0].bytes], [7]);
+    });
+
+    test("a continuation frame without a message in progress is a protocol error (1002)", async () => {
+      const client = await connect();
+      client.send(clientFrame(0, Buffer.from("orphan")));
+      assert.equal(await client.closeCode(), 1002);
+    });
+
+    test("a new data frame inside a fragmented message is a protocol error (1002)", async () => {
+      const client = await connect();
+      client.send(clientFrame(1, Buffer.from("{"), { fin: false }), clientFrame(1, Buffer.from("{}")));
+      assert.equal(await client.closeCode(), 1002);
+    });
+
+    test("a fragmented control frame is a protocol error (1002)", async () => {
+      const client = await connect();
+      client.send(clientFrame(9, Buffer.from("ping"), { fin: false }), clientFrame(0, Buffer.from("!")));
+      assert.equal(await client.closeCode(), 1002);
+    });
+  });
+
+  describe("UTF-8", () => {
+    test("invalid UTF-8 in a text message closes with 1007", async () => {
+      const client = await connect();
+      client.send(clientFrame(1, Buffer.from([0xce, 0xba, 0xe1, 0xbd, 0xb9, 0xcf, 0x83, 0xce, 0xbc, 0xce, 0xb5, 0xed, 0xa0, 0x80])));
+      assert.equal(await client.closeCode(), 1007);
+    });
+
+    test("invalid UTF-8 completed by a later fragment closes with 1007", async () => {
+      const client = await connect();
+      client.send(clientFrame(1, Buffer.from([0xce]), { fin: false }), clientFrame(0, Buffer.from([0x41])));
+      assert.equal(await client.closeCode(), 1007);
+    });
+
+    test("a code point split across fragments is valid", async () => {
+      const client = await connect();
+      const hello = Buffer.from(JSON.stringify({ t: "hello", peerId: "utf8-κόσμε" }), "utf8");
+      const split = hello.indexOf(Buffer.from("κ")) + 1; // between the two bytes of κ
+      client.send(clientFrame(1, hello.subarray(0, split), { fin: false }), clientFrame(0, hello.subarray(split)));
+      await waitFor(() => events.some((e) => e.type === "connection" && e.peerId === "utf8-κόσμε"));
+    });
+
+    test("a leading byte order mark is part of the text, not stripped", async () => {
+      const client = await connect();
+      // With the BOM kept the hello is no longer valid JSON, which fails the handshake (1008).
+      client.send(clientFrame(1, Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), helloText("bom")])));
+      assert.equal(await client.closeCode(), 1008);
+      assert.ok(!events.some((e) => e.type === "connection" && e.peerId === "bom"));
+    });
+
+    test("invalid UTF-8 in a close reason closes with 1007", async () => {
+      const client = await connect();
+      client.send(clientFrame(8, Buffer.from([0x03, 0xe8, 0xff, 0xfe])));
+      assert.equal(await client.closeCode(), 1007);
+    });
+  });
+
+  describe("reserved bits and opcodes", () => {
+    for (const rsv of [1, 2, 4, 7]) {
+      test(`RSV bits ${rsv.toString(2).padStart(3, "0")} are a protocol error (1002)`, async () => {
+        const client = await connect();
+        client.send(clientFrame(2, Buffer.from([1]), { rsv }));
+        assert.equal(await client.closeCode(), 1002);
+      });
+    }
+
+    test("RSV bits on a control frame are a protocol error (1002)", async () => {
+      const client = await connect();
+      client.send(clientFrame(9, Buffer.from("x"), { rsv: 4 }));
+      assert.equal(await client.closeCode(), 1002);
+    });
+
+    for (const opcode of [3, 4, 5, 6, 7, 0xb, 0xc, 0xd, 0xe, 0xf]) {
+      test(`reserved opcode ${opcode} is a protocol error (1002)`, async () => {
+        const client = await connect();
+        client.send(clientFrame(opcode, Buffer.from("x")));
+        assert.equal(await client.closeCode(), 1002);
+      });
+    }
+
+    test("a reserved opcode after a valid frame still closes with 1002", async () => {
+      const client = await establish("opcode-late");
+      client.send(clientFrame(2, Buffer.from([1])), clientFrame(0xb));
+      assert.equal(await client.closeCode(), 1002);
+      await waitFor(() => framesFrom("opcode-late").length === 1);
+    });
+
+    test("an unmasked client frame is a protocol error (1002)", async () => {
+      const client = await connect();
+      client.send(clientFrame(2, Buffer.from([1]), { masked: false }));
+      assert.equal(await client.closeCode(), 1002);
+    });
+
+    test("a control frame with more than 125 bytes is a protocol error (1002)", async () => {
+      const client = await connect();
+      client.send(clientFrame(9, Buffer.alloc(126)));
+      assert.equal(await client.closeCode(), 1002);
+    });
+
+    test("a close code that may not be sent is a protocol error (1002)", async () => {
+      const client = await connect();
+      client.send(clientFrame(8, Buffer.from([0x03, 0xed]))); // 1005
+      assert.equal(await client.closeCode(), 1002);
+    });
+  });
+
+  describe("payload lengths", () => {
+    test("accepts the 7-bit, 16-bit and 64-bit length encodings", async () => {
+      const client = await establish("lengths");
+      client.send(
+        clientFrame(2, Buffer.alloc(125, 1)),
+        clientFrame(2, Buffer.alloc(126, 2)),
+        clientFrame(2, Buffer.alloc(0xffff, 3)),
+        clientFrame(2, Buffer.alloc(10, 4), { len64: true }),
+        clientFrame(2, Buffer.alloc(MAX_PAYLOAD_BYTES, 5), { len64: true })
+      );
+      await waitFor(() => framesFrom("lengths").length === 5);
+      assert.deepEqual(
+        framesFrom("lengths").map((f) => f.bytes.length),
+        [125, 126, 0xffff, 10, MAX_PAYLOAD_BYTES]
+      );
+    });
+
+    test("a frame over maxPayloadBytes closes with 1009", async () => {
+      const client = await connect();
+      client.send(clientFrame(2, Buffer.alloc(MAX_PAYLOAD_BYTES + 1)));
+      assert.equal(await client.closeCode(), 1009);
+    });
+
+    test("a 64-bit length with the high 32 bits set closes with 1009 before the payload arrives", async () => {
+      const client = await connect();
+      client.send(clientFrame(2, Buffer.alloc(0), { declaredLength: 2 ** 32 }).subarray(0, 10));
+      assert.equal(await client.closeCode(), 1009);
+    });
+
+    test("a 64-bit length with the most significant bit set is a protocol error (1002)", async () => {
+      const client = await connect();
+      const header = Buffer.from([0x82, 0x80 | 127, 0x80, 0, 0, 0, 0, 0, 0, 1]);
+      client.send(header);
+      assert.equal(await client.closeCode(), 1002);
+    });
+
+    test("a fragmented message over maxMessageBytes closes with 1009", async () => {
+      const client = await connect();
+      const fragment = Buffer.alloc(MAX_PAYLOAD_BYTES);
+      const parts = [clientFrame(2, fragment, { fin: false })];
+      for (let sent = MAX_PAYLOAD_BYTES; sent <= MAX_MESSAGE_BYTES; sent += MAX_PAYLOAD_BYTES) {
+        parts.push(clientFrame(0, fragment, { fin: false }));
+      }
+      client.send(...parts);
+      assert.equal(await client.closeCode(), 1009);
+    });
+  });
+
+  describe("closing", () => {
+    test("echoes the status of a client-initiated close", async () => {
+      const client = await connect();
+      client.send(clientFrame(8, Buffer.from([0x0f, 0xa0, 0x62, 0x79, 0x65]))); // 4000 "bye"
+      assert.equal(await client.closeCode(), 4000);
+    });
+
+    test("answers a close without a status with 1000", async () => {
+      const client = await connect();
+      client.send(clientFrame(8));
+      assert.equal(await client.closeCode(), 1000);
+    });
+
+    test("a one-byte close payload is a protocol error (1002)", async () => {
+      const client = await connect();
+      client.send(clientFrame(8, Buffer.from([0x03])));
+      assert.equal(await client.closeCode(), 1002);
+    });
+  });
+});